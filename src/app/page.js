@@ -4,7 +4,7 @@ import WalletComponent from '../components/WalletComponent';
 export default function Home() {
   return (
     <div>
-      <h1>Solana Token App (Devnet)</h1>
+      <h1>Solana Token App</h1>
       <WalletComponent />
     </div>
   );
@@ -0,0 +1,171 @@
+/**
+ * @component AddressBookDialog
+ * @description A dialog for managing the address book of the active cluster: saving addresses with a label and a
+ * note, editing them and removing them. Saved addresses are suggested in the recipient field of the Send dialog.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { BookUser, Pencil, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { getContacts, removeContact, saveContact } from '../lib/addressBook';
+
+const EMPTY_FORM = { address: '', label: '', note: '' };
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-6)}`;
+
+export default function AddressBookDialog({ cluster }) {
+  const [open, setOpen] = useState(false);
+  const [contacts, setContacts] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    setForm(EMPTY_FORM);
+    setEditing(false);
+    setError('');
+    if (isOpen) setContacts(getContacts());
+  };
+
+  const handleSave = () => {
+    setError('');
+    try {
+      setContacts(saveContact(form));
+      setForm(EMPTY_FORM);
+      setEditing(false);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleEdit = (contact) => {
+    setForm({ address: contact.address, label: contact.label, note: contact.note });
+    setEditing(true);
+    setError('');
+  };
+
+  const handleRemove = (address) => {
+    setContacts(removeContact(address));
+    if (form.address === address) {
+      setForm(EMPTY_FORM);
+      setEditing(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          <BookUser className="mr-2" /> Address Book
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Address Book</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Saved addresses on {cluster ? cluster.label : 'this cluster'}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div className="bg-indigo-50 p-3 rounded-md space-y-2">
+            <Label className="text-sm font-medium text-indigo-700">
+              {editing ? 'Edit Address' : 'Add Address'}
+            </Label>
+            <Input
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value.trim() })}
+              disabled={editing}
+              placeholder="Solana address"
+              className="h-9 font-mono text-sm border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+            <Input
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              placeholder="Label"
+              className="h-9 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+            <Input
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              placeholder="Note (optional)"
+              className="h-9 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+            <div className={editing ? 'grid grid-cols-2 gap-2' : ''}>
+              {editing && (
+                <Button
+                  onClick={() => {
+                    setForm(EMPTY_FORM);
+                    setEditing(false);
+                  }}
+                  variant="outline"
+                  className="w-full text-indigo-700"
+                >
+                  Cancel
+                </Button>
+              )}
+              <Button
+                onClick={handleSave}
+                disabled={!form.address || !form.label.trim()}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+              >
+                {editing ? 'Save Changes' : 'Save Address'}
+              </Button>
+            </div>
+          </div>
+          {contacts.length === 0 ? (
+            <p className="text-center text-gray-500 p-4">No saved addresses yet</p>
+          ) : (
+            <div className="space-y-1 max-h-72 overflow-y-auto">
+              {contacts.map((contact) => (
+                <div key={contact.address} className="flex items-start gap-2 bg-indigo-50 p-2 rounded-md text-sm">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex justify-between gap-2">
+                      <span className="font-medium text-indigo-700 truncate">{contact.label}</span>
+                      <span className="font-mono text-xs text-gray-600">{shorten(contact.address)}</span>
+                    </div>
+                    {contact.note && (
+                      <p className="text-xs text-gray-500 break-words">{contact.note}</p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleEdit(contact)}
+                    className="text-indigo-500 hover:text-indigo-700 transition-colors"
+                    title="Edit"
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleRemove(contact.address)}
+                    className="text-indigo-500 hover:text-red-600 transition-colors"
+                    title="Remove"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * @component AirdropDialog
+ * @description A dialog for requesting test SOL from the faucet of the active cluster. Only rendered on clusters
+ * that have a faucet, never on mainnet.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Droplets } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+
+export default function AirdropDialog({ cluster, onAirdrop, isLoading, error }) {
+  const [open, setOpen] = useState(false);
+  const [amount, setAmount] = useState('1');
+
+  if (!cluster.airdropLimit) return null;
+
+  const handleAirdrop = async () => {
+    const result = await onAirdrop(amount).catch(() => null);
+    if (result) setOpen(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <button
+          disabled={isLoading}
+          className="flex items-center gap-1 ml-auto text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+        >
+          <Droplets size={14} /> Airdrop
+        </button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Airdrop SOL</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Request test SOL from the {cluster.label} faucet, up to {cluster.airdropLimit} SOL at a time
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Amount (SOL)</Label>
+            <Input
+              inputMode="decimal"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value.trim())}
+              className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          <Button
+            onClick={handleAirdrop}
+            disabled={!amount || isLoading}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            {isLoading ? 'Requesting...' : `Airdrop ${amount || 0} SOL`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
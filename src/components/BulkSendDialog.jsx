@@ -0,0 +1,236 @@
+/**
+ * @component BulkSendDialog
+ * @description A dialog for sending the active token to many recipients from a CSV file or pasted lines. Every row
+ * is validated and the transfers are packed into as few transactions as possible before the wallet signs them all
+ * at once. Each row then shows whether it landed, and the failed rows can be sent again.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Users, Loader2, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { ROW_STATUSES, distributeTokens, parseRecipients, planDistribution } from '../lib/distribution';
+import { formatAmount } from '../lib/amount';
+
+const STATUS_STYLES = {
+  invalid: 'text-red-600 border-red-200',
+  ready: 'text-indigo-700 border-indigo-200',
+  sending: 'text-amber-600 border-amber-200',
+  confirmed: 'text-green-700 border-green-200',
+  failed: 'text-red-600 border-red-200',
+};
+
+const shorten = (address) => (address.length > 16 ? `${address.slice(0, 6)}...${address.slice(-6)}` : address);
+
+export default function BulkSendDialog({ provider, publicKey, mint, tokenAccount, tokenUnit, disabled, onComplete }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleOpenChange = (isOpen) => {
+    if (isWorking) return;
+    if (!isOpen) {
+      setText('');
+      setPlan(null);
+      setRows([]);
+      setError('');
+    }
+    setOpen(isOpen);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setText(await file.text());
+    setPlan(null);
+    setRows([]);
+    e.target.value = '';
+  };
+
+  // Results replace the matching rows, so a retry keeps the rows that already landed
+  const mergeRows = (updated) => {
+    setRows((current) => current.map((row) => updated.find(({ line }) => line === row.line) || row));
+  };
+
+  const review = async (recipients) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      const result = await planDistribution(provider, mint, tokenAccount, recipients);
+      setPlan(result);
+      return result;
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleReview = async () => {
+    const recipients = parseRecipients(text);
+    if (!recipients.length) {
+      setError('Add at least one line with an address and an amount');
+      return;
+    }
+    const result = await review(recipients);
+    if (result) setRows(result.rows);
+  };
+
+  const handleSend = async (currentPlan) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      await distributeTokens(provider, currentPlan, mergeRows);
+      setPlan(null);
+      onComplete();
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRetry = async () => {
+    const failed = rows
+      .filter(({ status }) => status === 'failed')
+      .map(({ line, address, amount }) => ({ line, address, amount }));
+    const result = await review(failed);
+    if (result) {
+      mergeRows(result.rows);
+      await handleSend(result);
+    }
+  };
+
+  const countStatuses = (list) => list.reduce((total, { status }) => ({ ...total, [status]: (total[status] || 0) + 1 }), {});
+  const counts = countStatuses(rows);
+  const planned = plan ? { ready: 0, invalid: 0, ...countStatuses(plan.rows) } : null;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button
+          disabled={!publicKey || disabled}
+          className="flex items-center gap-1 text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+        >
+          <Users size={14} /> Bulk send
+        </button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Bulk Send {tokenUnit}</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            One recipient per line: a wallet address and an amount, separated by a comma
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          <div>
+            <div className="flex justify-between items-center">
+              <Label className="text-sm text-indigo-700">Recipients</Label>
+              <label className="text-xs text-indigo-500 hover:text-indigo-700 cursor-pointer">
+                Load CSV file
+                <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} className="hidden" />
+              </label>
+            </div>
+            <textarea
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setPlan(null);
+              }}
+              rows={6}
+              placeholder={'address,amount\nRecipientAddress1,10\nRecipientAddress2,2.5'}
+              className="mt-1 w-full rounded-md border border-indigo-200 bg-transparent p-2 font-mono text-xs"
+            />
+          </div>
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          {plan && (
+            <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1 text-gray-600">
+              <p>
+                {planned.ready} recipient{planned.ready === 1 ? '' : 's'} ready
+                {planned.invalid > 0 && <span className="text-red-600">, {planned.invalid} invalid</span>}
+              </p>
+              <p>Total: {formatAmount(plan.total, plan.decimals)} {tokenUnit}</p>
+              <p>
+                {plan.batches.length} transaction{plan.batches.length === 1 ? '' : 's'}, signed together
+              </p>
+              {plan.newAccounts > 0 && (
+                <p>
+                  {plan.newAccounts} new token account{plan.newAccounts === 1 ? '' : 's'}:{' '}
+                  {formatAmount(plan.rent, 9)} SOL rent
+                </p>
+              )}
+            </div>
+          )}
+          {rows.length > 0 && (
+            <div className="space-y-1 max-h-60 overflow-y-auto">
+              {rows.map((row) => (
+                <div key={row.line} className="bg-indigo-50 p-2 rounded-md text-xs space-y-1">
+                  <div className="flex justify-between items-center gap-2">
+                    <span className="text-gray-500">Line {row.line}</span>
+                    <span className="font-mono text-gray-700 truncate">{shorten(row.address) || '(empty)'}</span>
+                    <span className="text-indigo-700">{row.amount}</span>
+                    <Badge variant="outline" className={`text-xs ${STATUS_STYLES[row.status]}`}>
+                      {ROW_STATUSES[row.status]}
+                    </Badge>
+                  </div>
+                  {row.error && (
+                    <p className="text-red-500 break-all">{row.error}</p>
+                  )}
+                  {row.signature && (
+                    <p className="font-mono text-gray-500">{row.signature.slice(0, 12)}...</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {plan ? (
+            <Button
+              onClick={() => handleSend(plan)}
+              disabled={isWorking || !plan.batches.length}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+            >
+              {isWorking && <Loader2 className="mr-2 animate-spin" />}
+              {isWorking ? 'Sending...' : `Sign & Send ${plan.batches.length} Transaction${plan.batches.length === 1 ? '' : 's'}`}
+            </Button>
+          ) : counts.failed > 0 && !isWorking ? (
+            <Button
+              onClick={handleRetry}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 text-white transition-colors"
+            >
+              <RotateCcw className="mr-2" /> Retry {counts.failed} Failed Row{counts.failed === 1 ? '' : 's'}
+            </Button>
+          ) : (
+            <Button
+              onClick={handleReview}
+              disabled={isWorking || !text.trim()}
+              variant="outline"
+              className="w-full text-indigo-700"
+            >
+              {isWorking && <Loader2 className="mr-2 animate-spin" />}
+              {isWorking ? 'Working...' : 'Review Recipients'}
+            </Button>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
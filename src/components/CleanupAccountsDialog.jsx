@@ -0,0 +1,184 @@
+/**
+ * @component CleanupAccountsDialog
+ * @description A dialog listing the connected wallet's empty token accounts under both token programs. The selected
+ * accounts are closed in batches and the SOL rent they held is returned to the wallet. Accounts that cannot be
+ * closed show the reason, and the active token's account is left unselected.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Trash2, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { findEmptyTokenAccounts, closeTokenAccounts, TOKEN_PROGRAMS } from '../lib/token';
+import { formatAmount } from '../lib/amount';
+import { formatMintLabel } from '../lib/metadata';
+
+const shorten = (address) => `${address.toBase58().slice(0, 6)}...${address.toBase58().slice(-6)}`;
+
+export default function CleanupAccountsDialog({ provider, publicKey, activeTokenAccount, disabled, onComplete }) {
+  const [open, setOpen] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const isActive = (address) => Boolean(activeTokenAccount && activeTokenAccount.address.equals(address));
+
+  const loadAccounts = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const empty = await findEmptyTokenAccounts(publicKey);
+      setAccounts(empty);
+      setSelected(empty
+        .filter(({ address, blocker }) => !blocker && !isActive(address))
+        .map(({ address }) => address.toBase58()));
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleOpenChange = (isOpen) => {
+    if (progress) return;
+    setOpen(isOpen);
+    setResult(null);
+    if (isOpen) loadAccounts();
+  };
+
+  const toggle = (address) => {
+    setSelected((current) => (current.includes(address)
+      ? current.filter((entry) => entry !== address)
+      : [...current, address]));
+  };
+
+  const handleClose = async () => {
+    setError('');
+    setResult(null);
+    setProgress({});
+    try {
+      const chosen = accounts.filter(({ address }) => selected.includes(address.toBase58()));
+      const outcome = await closeTokenAccounts(provider, chosen.map(({ address }) => address), setProgress);
+      setResult(outcome);
+      onComplete(outcome.closed);
+      await loadAccounts();
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const recoverable = accounts
+    .filter(({ address }) => selected.includes(address.toBase58()))
+    .reduce((sum, { lamports }) => sum + BigInt(lamports), 0n);
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          disabled={!publicKey || disabled}
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          <Trash2 className="mr-2" /> Clean Up Accounts
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Clean Up Token Accounts</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Close empty token accounts and get back the SOL rent they hold
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          {result && (
+            <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1">
+              <p className="text-green-700">
+                Recovered {formatAmount(result.recovered, 9)} SOL from {result.closed.length} account
+                {result.closed.length === 1 ? '' : 's'}
+              </p>
+              {result.failed.length > 0 && (
+                <p className="text-red-500 text-xs break-all">
+                  {result.failed.length} could not be closed: {result.failed[0].error}
+                </p>
+              )}
+            </div>
+          )}
+          {isLoading && (
+            <div className="flex justify-center p-2">
+              <Loader2 className="animate-spin text-indigo-600" />
+            </div>
+          )}
+          {!isLoading && accounts.length === 0 && (
+            <p className="text-center text-gray-500 p-4">No empty token accounts</p>
+          )}
+          {!isLoading && accounts.length > 0 && (
+            <div className="space-y-1 max-h-72 overflow-y-auto">
+              {accounts.map(({ address, mint, programId, lamports, blocker }) => (
+                <label
+                  key={address.toBase58()}
+                  className={`flex items-start gap-2 bg-indigo-50 p-2 rounded-md text-xs ${blocker ? 'opacity-60' : 'cursor-pointer'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(address.toBase58())}
+                    disabled={Boolean(blocker) || Boolean(progress)}
+                    onChange={() => toggle(address.toBase58())}
+                    className="mt-0.5 accent-indigo-600"
+                  />
+                  <div className="flex-1 space-y-1">
+                    <div className="flex justify-between gap-2">
+                      <span className="font-mono text-gray-700">{shorten(address)}</span>
+                      <span className="font-mono text-gray-600">{formatAmount(lamports, 9)} SOL</span>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-1 text-gray-500">
+                      <span>Mint {formatMintLabel(mint)}</span>
+                      <Badge variant="secondary" className="text-xs">
+                        {programId.equals(TOKEN_PROGRAMS['token-2022'].programId) ? 'Token-2022' : 'SPL Token'}
+                      </Badge>
+                      {isActive(address) && (
+                        <Badge variant="outline" className="text-xs text-indigo-700">Active token</Badge>
+                      )}
+                    </div>
+                    {blocker && (
+                      <p className="text-red-500 break-all">{blocker}</p>
+                    )}
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+          <Button
+            onClick={handleClose}
+            disabled={isLoading || Boolean(progress) || selected.length === 0}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            {progress && <Loader2 className="mr-2 animate-spin" />}
+            {progress
+              ? `Closing batch ${progress.batch || 1} of ${progress.batches || 1}...`
+              : `Close ${selected.length} Account${selected.length === 1 ? '' : 's'} (${formatAmount(recoverable, 9)} SOL)`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
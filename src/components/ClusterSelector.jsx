@@ -0,0 +1,132 @@
+/**
+ * @component ClusterSelector
+ * @description A dialog for switching the active Solana cluster, custom RPC endpoint and commitment level.
+ * The trigger shows the network the app is currently talking to.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Network } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { CLUSTERS, COMMITMENTS, setCluster } from '../lib/connection';
+
+export default function ClusterSelector({ cluster, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState(cluster.name);
+  const [endpoint, setEndpoint] = useState(cluster.name === 'custom' ? cluster.endpoint : '');
+  const [wsEndpoint, setWsEndpoint] = useState(cluster.name === 'custom' ? cluster.wsEndpoint || '' : '');
+  const [commitment, setCommitment] = useState(cluster.commitment);
+  const [error, setError] = useState('');
+
+  const handleOpenChange = (isOpen) => {
+    if (isOpen) {
+      setName(cluster.name);
+      setEndpoint(cluster.name === 'custom' ? cluster.endpoint : '');
+      setWsEndpoint(cluster.name === 'custom' ? cluster.wsEndpoint || '' : '');
+      setCommitment(cluster.commitment);
+      setError('');
+    }
+    setOpen(isOpen);
+  };
+
+  const handleApply = () => {
+    try {
+      setCluster({ name, endpoint, wsEndpoint, commitment });
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className="bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+          disabled={disabled}
+        >
+          <Network className="mr-1" /> {cluster.label}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Network</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Connected to <span className="font-mono">{cluster.endpoint}</span>
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Cluster</Label>
+            <select
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+            >
+              {Object.values(CLUSTERS).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+              <option value="custom">Custom RPC</option>
+            </select>
+          </div>
+          {name === 'custom' && (
+            <>
+              <div>
+                <Label className="text-sm text-indigo-700">RPC URL</Label>
+                <Input
+                  value={endpoint}
+                  onChange={(e) => setEndpoint(e.target.value)}
+                  placeholder="https://my-rpc.example.com"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">WebSocket URL (optional)</Label>
+                <Input
+                  value={wsEndpoint}
+                  onChange={(e) => setWsEndpoint(e.target.value)}
+                  placeholder="wss://my-rpc.example.com"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+            </>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Commitment</Label>
+            <select
+              value={commitment}
+              onChange={(e) => setCommitment(e.target.value)}
+              className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+            >
+              {COMMITMENTS.map((level) => (
+                <option key={level} value={level}>{level}</option>
+              ))}
+            </select>
+          </div>
+          <Button
+            onClick={handleApply}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            Switch Network
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * @component CostEstimate
+ * @description Breaks down what a transaction will take from the wallet (network fee, priority fee, rent and any
+ * SOL sent) and shows the exact shortfall when the balance cannot cover it.
+ */
+
+'use client';
+
+import { formatAmount } from '../lib/amount';
+import { describeShortfall } from '../lib/transaction';
+
+const sol = (lamports) => `${formatAmount(lamports, 9)} SOL`;
+
+export default function CostEstimate({ estimate }) {
+  const shortfall = describeShortfall(estimate);
+  const rows = [
+    { label: 'Network fee', lamports: estimate.networkFee },
+    { label: 'Priority fee', lamports: estimate.priorityFee },
+    ...estimate.charges,
+    ...(estimate.transfer > 0n ? [{ label: 'Amount sent', lamports: estimate.transfer }] : []),
+  ];
+
+  return (
+    <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1">
+      {rows.map(({ label, lamports }) => (
+        <div key={label} className="flex justify-between text-gray-600">
+          <span>{label}</span>
+          <span className="font-mono">{sol(lamports)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between font-medium text-indigo-800 border-t border-indigo-200 pt-1">
+        <span>Total</span>
+        <span className="font-mono">{sol(estimate.total)}</span>
+      </div>
+      {shortfall ? (
+        <p className="text-red-500 text-xs pt-1">{shortfall}</p>
+      ) : (
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>Balance afterwards</span>
+          <span className="font-mono">{sol(estimate.balance - estimate.total)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
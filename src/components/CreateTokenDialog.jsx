@@ -0,0 +1,270 @@
+/**
+ * @component CreateTokenDialog
+ * @description A dialog for creating a new SPL Token or Token-2022 mint with chosen decimals, authorities, initial
+ * supply, optional name, symbol and URI metadata, and Token-2022 extensions. The cost is estimated and shown for
+ * confirmation before the token is created.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { PlusCircle, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { TOKEN_PROGRAMS } from '../lib/token';
+import CostEstimate from './CostEstimate';
+import SimulationPreview from './SimulationPreview';
+
+export default function CreateTokenDialog({ publicKey, estimate, onEstimate, onCreate, isLoading, error }) {
+  const [open, setOpen] = useState(false);
+  const [program, setProgram] = useState('token');
+  const [decimals, setDecimals] = useState('9');
+  const [initialSupply, setInitialSupply] = useState('');
+  const [mintAuthority, setMintAuthority] = useState('');
+  const [freezeAuthority, setFreezeAuthority] = useState('');
+  const [name, setName] = useState('');
+  const [symbol, setSymbol] = useState('');
+  const [uri, setUri] = useState('');
+  const [transferFeeBasisPoints, setTransferFeeBasisPoints] = useState('');
+  const [maximumFee, setMaximumFee] = useState('');
+  const [interestRate, setInterestRate] = useState('');
+  const [nonTransferable, setNonTransferable] = useState(false);
+
+  const options = {
+    program,
+    extensions: program === 'token-2022'
+      ? {
+        transferFee: transferFeeBasisPoints
+          ? { basisPoints: Number(transferFeeBasisPoints), maximumFee: maximumFee || '0' }
+          : undefined,
+        interestRate: interestRate ? Number(interestRate) : undefined,
+        nonTransferable,
+      }
+      : undefined,
+    decimals: Number(decimals),
+    initialSupply: initialSupply || undefined,
+    mintAuthority: mintAuthority || undefined,
+    freezeAuthority: freezeAuthority || undefined,
+    metadata: name ? { name, symbol, uri } : undefined,
+  };
+  // The estimate only applies while the form still matches what was estimated
+  const reviewKey = `create:${JSON.stringify(options)}`;
+  const review = estimate && estimate.key === reviewKey ? estimate : null;
+
+  const handleCreate = async () => {
+    const result = await onCreate(options).catch(() => null);
+    if (result) {
+      setInitialSupply('');
+      setMintAuthority('');
+      setFreezeAuthority('');
+      setName('');
+      setSymbol('');
+      setUri('');
+      setTransferFeeBasisPoints('');
+      setMaximumFee('');
+      setInterestRate('');
+      setNonTransferable(false);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button
+          disabled={!publicKey || isLoading}
+          variant="secondary"
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <PlusCircle className="mr-2" />}
+          {isLoading ? 'Creating Token...' : 'Create Token'}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Create Token</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Create a new token mint owned by your wallet
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4 max-h-[70vh] overflow-y-auto">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Token Program</Label>
+            <select
+              value={program}
+              onChange={(e) => setProgram(e.target.value)}
+              className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+            >
+              {Object.values(TOKEN_PROGRAMS).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <Label className="text-sm text-indigo-700">Name (optional)</Label>
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Test Token"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+            <div>
+              <Label className="text-sm text-indigo-700">Symbol</Label>
+              <Input
+                value={symbol}
+                onChange={(e) => setSymbol(e.target.value.trim())}
+                placeholder="TEST"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          </div>
+          {name && (
+            <div>
+              <Label className="text-sm text-indigo-700">Metadata URI (optional)</Label>
+              <Input
+                value={uri}
+                onChange={(e) => setUri(e.target.value.trim())}
+                placeholder="https://example.com/token.json"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <Label className="text-sm text-indigo-700">Decimals</Label>
+              <Input
+                type="number"
+                min="0"
+                max="9"
+                step="1"
+                value={decimals}
+                onChange={(e) => setDecimals(e.target.value)}
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+            <div>
+              <Label className="text-sm text-indigo-700">Initial Supply</Label>
+              <Input
+                inputMode="decimal"
+                value={initialSupply}
+                onChange={(e) => setInitialSupply(e.target.value.trim())}
+                placeholder="0"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          </div>
+          <div>
+            <Label className="text-sm text-indigo-700">Mint Authority (optional)</Label>
+            <Input
+              value={mintAuthority}
+              onChange={(e) => setMintAuthority(e.target.value.trim())}
+              placeholder="Your wallet, or another wallet or multisig"
+              className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          <div>
+            <div className="flex items-center justify-between">
+              <Label className="text-sm text-indigo-700">Freeze Authority (optional)</Label>
+              <button
+                type="button"
+                onClick={() => setFreezeAuthority(publicKey ? publicKey.toString() : '')}
+                className="text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+              >
+                Use my wallet
+              </button>
+            </div>
+            <Input
+              value={freezeAuthority}
+              onChange={(e) => setFreezeAuthority(e.target.value.trim())}
+              placeholder="None, or a wallet or multisig"
+              className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          {program === 'token-2022' && (
+            <div className="space-y-3 bg-indigo-50 p-3 rounded-md">
+              <p className="text-sm font-medium text-indigo-700">Extensions</p>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label className="text-xs text-indigo-700">Transfer Fee (bps)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    max="10000"
+                    step="1"
+                    value={transferFeeBasisPoints}
+                    onChange={(e) => setTransferFeeBasisPoints(e.target.value)}
+                    placeholder="None"
+                    className="mt-1 bg-white border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                </div>
+                <div>
+                  <Label className="text-xs text-indigo-700">Maximum Fee</Label>
+                  <Input
+                    inputMode="decimal"
+                    value={maximumFee}
+                    onChange={(e) => setMaximumFee(e.target.value.trim())}
+                    placeholder="0"
+                    disabled={!transferFeeBasisPoints}
+                    className="mt-1 bg-white border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                </div>
+              </div>
+              <div>
+                <Label className="text-xs text-indigo-700">Interest Rate (bps per year)</Label>
+                <Input
+                  type="number"
+                  step="1"
+                  value={interestRate}
+                  onChange={(e) => setInterestRate(e.target.value)}
+                  placeholder="None"
+                  className="mt-1 bg-white border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-indigo-700">
+                <input
+                  type="checkbox"
+                  checked={nonTransferable}
+                  onChange={(e) => setNonTransferable(e.target.checked)}
+                />
+                Non-transferable
+              </label>
+            </div>
+          )}
+          {review && <SimulationPreview preview={review.preview} />}
+          {review && <CostEstimate estimate={review} />}
+          {review ? (
+            <Button
+              onClick={handleCreate}
+              disabled={isLoading || review.shortfall > 0n || !review.preview.success}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+            >
+              {isLoading ? 'Creating...' : 'Confirm & Create Token'}
+            </Button>
+          ) : (
+            <Button
+              onClick={() => onEstimate(reviewKey, options).catch(() => null)}
+              disabled={!publicKey || decimals === '' || isLoading}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+            >
+              {isLoading ? 'Estimating...' : 'Review Transaction'}
+            </Button>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
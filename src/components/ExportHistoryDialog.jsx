@@ -0,0 +1,186 @@
+/**
+ * @component ExportHistoryDialog
+ * @description A dialog for downloading the connected wallet's transaction history over a date or slot range
+ * as CSV or JSON. Every page of the range is fetched, not only the transactions shown in the history dialog.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { FileDown } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { getTransactionHistoryRange } from '../lib/wallet';
+import { toCsv, toJson } from '../lib/history';
+
+const FORMATS = {
+  csv: { label: 'CSV', type: 'text/csv', format: toCsv },
+  json: { label: 'JSON', type: 'application/json', format: toJson },
+};
+
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} text - The file contents
+ * @param {string} filename - The suggested file name
+ * @param {string} type - The MIME type
+ */
+function downloadFile(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export default function ExportHistoryDialog({ publicKey, cluster, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [by, setBy] = useState('time');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleByChange = (value) => {
+    setBy(value);
+    setFrom('');
+    setTo('');
+  };
+
+  const handleExport = async () => {
+    setError('');
+    setProgress(0);
+    try {
+      const range = by === 'time'
+        ? {
+          by,
+          from: from ? new Date(`${from}T00:00:00`) : undefined,
+          to: to ? new Date(`${to}T23:59:59.999`) : undefined,
+        }
+        : { by, from: from ? Number(from) : undefined, to: to ? Number(to) : undefined };
+      if (range.from !== undefined && range.to !== undefined && range.from > range.to) {
+        throw new Error('The start of the range must not be after its end');
+      }
+
+      const entries = await getTransactionHistoryRange(publicKey, range, setProgress);
+      const wallet = publicKey.toString();
+      const details = {
+        wallet,
+        cluster: cluster.name,
+        endpoint: cluster.endpoint,
+        range: { by, from: from || null, to: to || null },
+      };
+      const { type, format: formatEntries } = FORMATS[format];
+      downloadFile(
+        formatEntries(entries, details),
+        `transactions-${cluster.name}-${wallet.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.${format}`,
+        type
+      );
+      setOpen(false);
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const isExporting = progress !== null;
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isExporting && setOpen(isOpen)}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          disabled={!publicKey || disabled}
+          className="bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors px-3"
+          title="Export transactions"
+        >
+          <FileDown />
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Export Transactions</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Download your transaction history on {cluster.label || cluster.name} for a range of dates or slots
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <Label className="text-sm text-indigo-700">Range By</Label>
+              <select
+                value={by}
+                onChange={(e) => handleByChange(e.target.value)}
+                className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+              >
+                <option value="time">Date</option>
+                <option value="slot">Slot</option>
+              </select>
+            </div>
+            <div>
+              <Label className="text-sm text-indigo-700">Format</Label>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+              >
+                {Object.entries(FORMATS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <Label className="text-sm text-indigo-700">From</Label>
+              <Input
+                type={by === 'time' ? 'date' : 'number'}
+                min="0"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                placeholder="Earliest"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+            <div>
+              <Label className="text-sm text-indigo-700">To</Label>
+              <Input
+                type={by === 'time' ? 'date' : 'number'}
+                min="0"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                placeholder="Latest"
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Leave a bound empty to export from the first transaction or up to the latest one.
+          </p>
+          <Button
+            onClick={handleExport}
+            disabled={!publicKey || isExporting}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            {isExporting ? `Exporting... ${progress} transactions` : `Export ${FORMATS[format].label}`}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * @component ImportTokenDialog
+ * @description A dialog for importing an existing mint by address. It shows the mint's decimals, supply and
+ * authorities and whether the connected wallet already holds a token account for it before importing.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { TOKEN_PROGRAMS } from '../lib/token';
+import { formatAmount } from '../lib/amount';
+import { formatMintLabel } from '../lib/metadata';
+
+const shorten = (address) => `${address.toString().slice(0, 6)}...${address.toString().slice(-6)}`;
+
+export default function ImportTokenDialog({ publicKey, onLookup, onImport, isLoading, error }) {
+  const [open, setOpen] = useState(false);
+  const [address, setAddress] = useState('');
+  const [program, setProgram] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const handleOpenChange = (isOpen) => {
+    if (!isOpen) {
+      setAddress('');
+      setProgram('');
+      setPreview(null);
+    }
+    setOpen(isOpen);
+  };
+
+  const handleLookup = async () => {
+    setPreview(await onLookup(address, program || undefined).catch(() => null));
+  };
+
+  const handleImport = async () => {
+    const result = await onImport(preview).catch(() => null);
+    if (result) handleOpenChange(false);
+  };
+
+  const programLabel = preview && Object.values(TOKEN_PROGRAMS)
+    .find(({ programId }) => programId.equals(preview.mintInfo.programId)).label;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button
+          disabled={!publicKey || isLoading}
+          className="flex items-center gap-1 text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+        >
+          <Download size={14} /> Import token
+        </button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Import Token</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Use an existing token mint by entering its address
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Mint Address</Label>
+            <Input
+              value={address}
+              onChange={(e) => {
+                setAddress(e.target.value.trim());
+                setPreview(null);
+              }}
+              placeholder="Enter mint address"
+              className="mt-1 font-mono border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          <div>
+            <Label className="text-sm text-indigo-700">Token Program</Label>
+            <select
+              value={program}
+              onChange={(e) => {
+                setProgram(e.target.value);
+                setPreview(null);
+              }}
+              className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+            >
+              <option value="">Detect automatically</option>
+              {Object.values(TOKEN_PROGRAMS).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {!preview ? (
+            <Button
+              onClick={handleLookup}
+              disabled={!address || isLoading}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+            >
+              {isLoading ? 'Looking up...' : 'Look Up Mint'}
+            </Button>
+          ) : (
+            <>
+              <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1">
+                <p className="font-medium text-indigo-700">
+                  {formatMintLabel(preview.mintInfo.address, preview.metadata)}
+                </p>
+                <p className="text-gray-600">Program: {programLabel}</p>
+                <p className="text-gray-600">Decimals: {preview.mintInfo.decimals}</p>
+                <p className="text-gray-600">
+                  Supply: {formatAmount(preview.mintInfo.supply, preview.mintInfo.decimals)}
+                </p>
+                <p className="text-gray-600">
+                  Mint authority: {preview.mintInfo.mintAuthority
+                    ? shorten(preview.mintInfo.mintAuthority)
+                    : 'None (fixed supply)'}
+                </p>
+                <p className="text-gray-600">
+                  Freeze authority: {preview.mintInfo.freezeAuthority ? shorten(preview.mintInfo.freezeAuthority) : 'None'}
+                </p>
+                <p className="text-gray-600">
+                  {preview.tokenAccount.exists
+                    ? `Your token account: ${shorten(preview.tokenAccount.address)}`
+                    : 'You have no token account for this mint yet. Importing creates one, paid from your SOL balance.'}
+                </p>
+              </div>
+              <Button
+                onClick={handleImport}
+                disabled={isLoading}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+              >
+                {isLoading
+                  ? 'Importing...'
+                  : preview.tokenAccount.exists ? 'Import Token' : 'Create Token Account & Import'}
+              </Button>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
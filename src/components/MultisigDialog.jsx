@@ -0,0 +1,483 @@
+/**
+ * @component MultisigDialog
+ * @description A dialog for SPL Token multisigs. It creates an M-of-N multisig to use as a mint or freeze
+ * authority, proposes a mint or transfer the multisig authorizes, and loads a proposal passed on by another signer
+ * to review it, add the connected wallet's signature and submit it once every signature is present. The proposer
+ * can then close the proposal's nonce account to get its rent back.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { KeyRound, Loader2, Copy, CheckCircle, Circle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import {
+  MAX_MULTISIG_SIGNERS,
+  PROPOSAL_ACTIONS,
+  createMultisig,
+  getMultisigInfo,
+  proposeMultisigTransaction,
+  readProposal,
+  reclaimProposalNonce,
+  signProposal,
+  submitProposal
+} from '../lib/multisig';
+import { TOKEN_PROGRAMS } from '../lib/token';
+import { formatAmount } from '../lib/amount';
+import { formatMintLabel } from '../lib/metadata';
+
+const MODES = {
+  create: 'Create',
+  propose: 'Propose',
+  sign: 'Sign & Submit',
+};
+
+const shorten = (address) => `${address.toBase58().slice(0, 6)}...${address.toBase58().slice(-6)}`;
+
+export default function MultisigDialog({ provider, publicKey, mint, disabled, onComplete }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('create');
+  const [program, setProgram] = useState('token');
+  const [signersText, setSignersText] = useState('');
+  const [threshold, setThreshold] = useState('2');
+  const [created, setCreated] = useState(null);
+  const [action, setAction] = useState('mint');
+  const [mintAddress, setMintAddress] = useState('');
+  const [multisigAddress, setMultisigAddress] = useState('');
+  const [multisigInfo, setMultisigInfo] = useState(null);
+  const [chosenSigners, setChosenSigners] = useState([]);
+  const [destination, setDestination] = useState('');
+  const [amount, setAmount] = useState('');
+  const [proposalText, setProposalText] = useState('');
+  const [proposal, setProposal] = useState(null);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  // Compared as base58 so it works whether the wallet key arrives as a PublicKey or a string
+  const isWallet = (key) => Boolean(publicKey) && key.toBase58() === publicKey.toString();
+
+  const handleOpenChange = (isOpen) => {
+    if (isWorking) return;
+    if (isOpen) {
+      setMintAddress(mint ? mint.toString() : '');
+      setDestination(publicKey ? publicKey.toString() : '');
+    } else {
+      setCreated(null);
+      setProposal(null);
+      setIsSubmitted(false);
+      setProposalText('');
+      setError('');
+      setStatus('');
+    }
+    setOpen(isOpen);
+  };
+
+  const run = async (fn) => {
+    setIsWorking(true);
+    setError('');
+    setStatus('');
+    try {
+      return await fn();
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const signers = signersText.split(/[\s,]+/).filter(Boolean);
+
+  const handleCreate = () => run(async () => {
+    setCreated(await createMultisig(provider, { program, signers, threshold: Number(threshold) }));
+  });
+
+  const handleLoadMultisig = () => run(async () => {
+    const info = await getMultisigInfo(multisigAddress);
+    setMultisigInfo(info);
+    // The proposer signs anyway, so count them in when they are a signer
+    const own = info.signers.filter(isWallet);
+    const others = info.signers.filter((signer) => !isWallet(signer));
+    setChosenSigners([...own, ...others].slice(0, info.threshold).map((signer) => signer.toBase58()));
+  });
+
+  const toggleSigner = (signer) => {
+    setChosenSigners((current) => (current.includes(signer)
+      ? current.filter((entry) => entry !== signer)
+      : [...current, signer]));
+  };
+
+  const handlePropose = () => run(async () => {
+    const result = await proposeMultisigTransaction(provider, {
+      action,
+      mint: mintAddress,
+      multisig: multisigAddress,
+      destination,
+      amount,
+      signers: chosenSigners,
+    });
+    setProposal(result);
+    setIsSubmitted(false);
+    setProposalText(result.serialized);
+    setMode('sign');
+    setStatus('Proposal created. Copy it and pass it to the other signers');
+  });
+
+  const handleLoadProposal = () => run(async () => {
+    setProposal(readProposal(proposalText));
+    setIsSubmitted(false);
+  });
+
+  const handleSign = () => run(async () => {
+    const result = await signProposal(provider, proposal);
+    setProposal(result);
+    setProposalText(result.serialized);
+    setStatus(result.missing.length ? 'Signed. Pass the updated proposal on' : 'Signed. Every signature is present');
+  });
+
+  const handleSubmit = () => run(async () => {
+    const signature = await submitProposal(proposal);
+    setIsSubmitted(true);
+    setStatus(`Submitted. Tx: ${signature.slice(0, 12)}...`);
+    onComplete();
+  });
+
+  const handleReclaim = () => run(async () => {
+    const { signature, lamports } = await reclaimProposalNonce(provider, proposal);
+    setStatus(`Reclaimed ${formatAmount(lamports, 9)} SOL. Tx: ${signature.slice(0, 12)}...`);
+    onComplete();
+  });
+
+  const handleCopy = async (text) => {
+    await navigator.clipboard.writeText(text);
+    setIsCopied(true);
+    setTimeout(() => setIsCopied(false), 2000);
+  };
+
+  const isMissing = Boolean(proposal) && proposal.missing.some(isWallet);
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          disabled={!publicKey || disabled}
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          <KeyRound className="mr-2" /> Multisig
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Token Multisig</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Share control of a token&apos;s authorities between several signers
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          <div className="grid grid-cols-3 gap-2">
+            {Object.entries(MODES).map(([key, label]) => (
+              <Button
+                key={key}
+                variant={mode === key ? 'default' : 'outline'}
+                onClick={() => {
+                  setMode(key);
+                  setError('');
+                  setStatus('');
+                }}
+                disabled={isWorking}
+                className={mode === key ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+          {error && (
+            <p className="text-red-500 text-sm break-all">{error}</p>
+          )}
+          {status && (
+            <p className="text-green-700 text-sm">{status}</p>
+          )}
+
+          {mode === 'create' && (
+            <div className="space-y-3">
+              <div>
+                <Label className="text-sm text-indigo-700">Signers (up to {MAX_MULTISIG_SIGNERS})</Label>
+                <textarea
+                  value={signersText}
+                  onChange={(e) => setSignersText(e.target.value)}
+                  rows={4}
+                  placeholder="One wallet address per line"
+                  className="mt-1 w-full rounded-md border border-indigo-200 bg-transparent p-2 font-mono text-xs"
+                />
+                {publicKey && !signers.includes(publicKey.toString()) && (
+                  <button
+                    type="button"
+                    onClick={() => setSignersText((text) => `${text.trim() ? `${text.trim()}\n` : ''}${publicKey.toString()}`)}
+                    className="text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+                  >
+                    Add my wallet
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label className="text-sm text-indigo-700">Required Signatures</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    max={Math.max(signers.length, 1)}
+                    value={threshold}
+                    onChange={(e) => setThreshold(e.target.value)}
+                    className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                </div>
+                <div>
+                  <Label className="text-sm text-indigo-700">Token Program</Label>
+                  <select
+                    value={program}
+                    onChange={(e) => setProgram(e.target.value)}
+                    className="mt-1 w-full h-10 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+                  >
+                    {Object.values(TOKEN_PROGRAMS).map(({ name, label }) => (
+                      <option key={name} value={name}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {created && (
+                <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1">
+                  <p className="text-indigo-700">Multisig created. Use this address as the mint or freeze authority:</p>
+                  <button
+                    onClick={() => handleCopy(created.address.toBase58())}
+                    className="flex items-center gap-1 font-mono text-xs text-gray-700 break-all text-left"
+                  >
+                    {created.address.toBase58()} {isCopied ? <CheckCircle size={14} /> : <Copy size={14} />}
+                  </button>
+                </div>
+              )}
+              <Button
+                onClick={handleCreate}
+                disabled={isWorking || signers.length === 0}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+              >
+                {isWorking && <Loader2 className="mr-2 animate-spin" />}
+                {isWorking ? 'Creating...' : `Create ${threshold}-of-${signers.length} Multisig`}
+              </Button>
+            </div>
+          )}
+
+          {mode === 'propose' && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(PROPOSAL_ACTIONS).map(([key, label]) => (
+                  <Button
+                    key={key}
+                    variant={action === key ? 'default' : 'outline'}
+                    onClick={() => setAction(key)}
+                    className={action === key ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">Mint Address</Label>
+                <Input
+                  value={mintAddress}
+                  onChange={(e) => setMintAddress(e.target.value.trim())}
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">
+                  {action === 'mint' ? 'Multisig (mint authority)' : 'Multisig (token owner)'}
+                </Label>
+                <div className="flex gap-2 mt-1">
+                  <Input
+                    value={multisigAddress}
+                    onChange={(e) => {
+                      setMultisigAddress(e.target.value.trim());
+                      setMultisigInfo(null);
+                    }}
+                    className="border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                  <Button
+                    onClick={handleLoadMultisig}
+                    disabled={isWorking || !multisigAddress}
+                    variant="outline"
+                    className="text-indigo-700"
+                  >
+                    Load
+                  </Button>
+                </div>
+              </div>
+              {multisigInfo && (
+                <div className="bg-indigo-50 p-3 rounded-md text-xs space-y-1">
+                  <p className="text-sm text-indigo-700">
+                    Choose at least {multisigInfo.threshold} of {multisigInfo.signers.length} signers
+                  </p>
+                  {multisigInfo.signers.map((signer) => (
+                    <label key={signer.toBase58()} className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={chosenSigners.includes(signer.toBase58())}
+                        onChange={() => toggleSigner(signer.toBase58())}
+                        className="accent-indigo-600"
+                      />
+                      <span className="font-mono text-gray-700">{signer.toBase58()}</span>
+                      {isWallet(signer) && <span className="text-indigo-500">(you)</span>}
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div className="grid grid-cols-3 gap-3">
+                <div className="col-span-2">
+                  <Label className="text-sm text-indigo-700">Recipient Address</Label>
+                  <Input
+                    value={destination}
+                    onChange={(e) => setDestination(e.target.value.trim())}
+                    className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                </div>
+                <div>
+                  <Label className="text-sm text-indigo-700">Amount</Label>
+                  <Input
+                    inputMode="decimal"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value.trim())}
+                    className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Your wallet pays the fee and the rent for a nonce account that keeps the proposal valid while
+                signatures are collected. Reclaim the rent from the Sign &amp; Submit tab once the proposal is submitted.
+              </p>
+              <Button
+                onClick={handlePropose}
+                disabled={isWorking || !multisigInfo || !mintAddress || !destination || !amount
+                  || chosenSigners.length < multisigInfo.threshold}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+              >
+                {isWorking && <Loader2 className="mr-2 animate-spin" />}
+                {isWorking ? 'Proposing...' : 'Create Proposal'}
+              </Button>
+            </div>
+          )}
+
+          {mode === 'sign' && (
+            <div className="space-y-3">
+              <div>
+                <div className="flex justify-between items-center">
+                  <Label className="text-sm text-indigo-700">Proposal</Label>
+                  {proposalText && (
+                    <button
+                      onClick={() => handleCopy(proposalText)}
+                      className="flex items-center gap-1 text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+                    >
+                      {isCopied ? <CheckCircle size={14} /> : <Copy size={14} />} {isCopied ? 'Copied' : 'Copy'}
+                    </button>
+                  )}
+                </div>
+                <textarea
+                  value={proposalText}
+                  onChange={(e) => {
+                    setProposalText(e.target.value);
+                    setProposal(null);
+                  }}
+                  rows={4}
+                  placeholder="Paste the proposal you were sent"
+                  className="mt-1 w-full rounded-md border border-indigo-200 bg-transparent p-2 font-mono text-xs break-all"
+                />
+              </div>
+              {proposal ? (
+                <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-2">
+                  <p className="font-medium text-indigo-700">
+                    {PROPOSAL_ACTIONS[proposal.action]}: {formatAmount(proposal.amount, proposal.decimals)}{' '}
+                    {formatMintLabel(proposal.mint)}
+                  </p>
+                  <div className="text-xs text-gray-600 space-y-1">
+                    <p>To token account <span className="font-mono">{shorten(proposal.destination)}</span></p>
+                    <p>Authorized by multisig <span className="font-mono">{shorten(proposal.multisig)}</span></p>
+                    <p>Fee paid by <span className="font-mono">{shorten(proposal.feePayer)}</span></p>
+                  </div>
+                  <div className="space-y-1">
+                    <p className="text-xs font-medium text-indigo-700">
+                      Signatures ({proposal.signatures.length - proposal.missing.length} of {proposal.signatures.length})
+                    </p>
+                    {proposal.signatures.map(({ publicKey: signer, signed }) => (
+                      <p key={signer.toBase58()} className="flex items-center gap-2 text-xs">
+                        {signed ? <CheckCircle size={14} className="text-green-600" /> : <Circle size={14} className="text-gray-400" />}
+                        <span className="font-mono text-gray-700">{shorten(signer)}</span>
+                        {isWallet(signer) && <span className="text-indigo-500">(you)</span>}
+                      </p>
+                    ))}
+                  </div>
+                  {isMissing && (
+                    <Button
+                      onClick={handleSign}
+                      disabled={isWorking}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                    >
+                      {isWorking ? 'Signing...' : 'Sign with My Wallet'}
+                    </Button>
+                  )}
+                  {proposal.missing.length === 0 && (
+                    <Button
+                      onClick={handleSubmit}
+                      disabled={isWorking}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                    >
+                      {isWorking ? 'Submitting...' : 'Submit Transaction'}
+                    </Button>
+                  )}
+                  {isWallet(proposal.nonceAuthority) && (
+                    <div className="space-y-1">
+                      <Button
+                        onClick={handleReclaim}
+                        disabled={isWorking}
+                        variant="outline"
+                        className="w-full text-indigo-700"
+                      >
+                        {isSubmitted ? 'Reclaim Nonce Rent' : 'Cancel Proposal & Reclaim Rent'}
+                      </Button>
+                      {!isSubmitted && (
+                        <p className="text-xs text-gray-500">
+                          Closing the nonce account before the proposal is submitted cancels it for every signer.
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <Button
+                  onClick={handleLoadProposal}
+                  disabled={isWorking || !proposalText.trim()}
+                  variant="outline"
+                  className="w-full text-indigo-700"
+                >
+                  Review Proposal
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
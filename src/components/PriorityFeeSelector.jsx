@@ -0,0 +1,185 @@
+/**
+ * @component PriorityFeeSelector
+ * @description A dialog for choosing how much priority fee transactions pay: none, a fixed compute unit price, or
+ * a percentile of recent prioritization fees. The dialog quotes what the chosen strategy currently costs.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Gauge, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import {
+  FEE_STRATEGIES,
+  FEE_PERCENTILES,
+  FALLBACK_COMPUTE_UNITS,
+  getFeeStrategy,
+  setFeeStrategy,
+  restoreFeeStrategy,
+  onFeeStrategyChange,
+  getComputeUnitPrice
+} from '../lib/priorityFee';
+import { formatAmount } from '../lib/amount';
+
+export default function PriorityFeeSelector({ cluster, disabled }) {
+  const [strategy, setStrategy] = useState(getFeeStrategy);
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState(strategy.mode);
+  const [microLamports, setMicroLamports] = useState(String(strategy.microLamports));
+  const [percentile, setPercentile] = useState(strategy.percentile);
+  const [estimate, setEstimate] = useState(null);
+  const [isEstimating, setIsEstimating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = onFeeStrategyChange(setStrategy);
+    restoreFeeStrategy();
+    return unsubscribe;
+  }, []);
+
+  // Quote the recent fee level for the percentile being considered
+  useEffect(() => {
+    if (!open || mode !== 'auto') return;
+    let isCurrent = true;
+    setIsEstimating(true);
+    setEstimate(null);
+    getComputeUnitPrice([], { mode, percentile })
+      .then((price) => {
+        if (isCurrent) setEstimate(price);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (isCurrent) setError(`Failed to fetch recent fees: ${err.message}`);
+      })
+      .finally(() => {
+        if (isCurrent) setIsEstimating(false);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [open, mode, percentile, cluster]);
+
+  const handleOpenChange = (isOpen) => {
+    if (isOpen) {
+      setMode(strategy.mode);
+      setMicroLamports(String(strategy.microLamports));
+      setPercentile(strategy.percentile);
+      setError('');
+    }
+    setOpen(isOpen);
+  };
+
+  const handleApply = () => {
+    try {
+      setFeeStrategy({ mode, microLamports: Number(microLamports), percentile });
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const price = mode === 'fixed' ? Number(microLamports) : estimate;
+  const quote = mode !== 'none' && Number.isInteger(price) && price >= 0
+    ? formatAmount(Math.ceil((FALLBACK_COMPUTE_UNITS * price) / 1000000), 9)
+    : null;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className="bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+          disabled={disabled}
+          title="Priority fee"
+        >
+          <Gauge className="mr-1" />
+          {strategy.mode === 'auto' ? `Auto p${strategy.percentile}` : FEE_STRATEGIES[strategy.mode].label}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Priority Fee</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            A priority fee helps transactions land when the network is busy. Compute units are sized by simulating
+            each transaction.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div>
+            <Label className="text-sm text-indigo-700">Strategy</Label>
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+            >
+              {Object.values(FEE_STRATEGIES).map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {mode === 'fixed' && (
+            <div>
+              <Label className="text-sm text-indigo-700">Price (micro-lamports per compute unit)</Label>
+              <Input
+                type="number"
+                min="0"
+                step="1"
+                value={microLamports}
+                onChange={(e) => setMicroLamports(e.target.value)}
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          )}
+          {mode === 'auto' && (
+            <div>
+              <Label className="text-sm text-indigo-700">Percentile of recent fees</Label>
+              <select
+                value={percentile}
+                onChange={(e) => setPercentile(Number(e.target.value))}
+                className="mt-1 w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+              >
+                {FEE_PERCENTILES.map((value) => (
+                  <option key={value} value={value}>{value}th percentile</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {mode === 'auto' && isEstimating && (
+            <div className="flex justify-center p-2">
+              <Loader2 className="animate-spin text-indigo-600" />
+            </div>
+          )}
+          {quote !== null && (
+            <div className="bg-indigo-50 p-3 rounded-md text-sm text-indigo-700">
+              <p>{price.toLocaleString()} µlamports per compute unit</p>
+              <p className="text-xs text-gray-500">
+                About {quote} SOL for a {FALLBACK_COMPUTE_UNITS.toLocaleString()} CU transaction. The exact fee is
+                shown before you sign.
+              </p>
+            </div>
+          )}
+          <Button
+            onClick={handleApply}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            Save
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,234 @@
+/**
+ * @component ReceiveDialog
+ * @description A dialog that creates a Solana Pay transfer request for SOL or the active token and shows it as a QR
+ * code to scan with any Solana Pay wallet. While the dialog is open it watches for the payment by the request's
+ * reference key and shows it once it is confirmed and matches the requested amount, token and memo.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { QrCode, Loader2, Copy, Check, CheckCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { checkPayment, createPaymentRequest } from '../lib/solanaPay';
+import { formatAmount } from '../lib/amount';
+
+const PAYMENT_POLL_INTERVAL = 5000;
+const EMPTY_FORM = { amount: '', label: '', message: '', memo: '' };
+
+export default function ReceiveDialog({ publicKey, mint, tokenUnit, cluster, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [asset, setAsset] = useState('sol');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [request, setRequest] = useState(null);
+  const [qrCode, setQrCode] = useState('');
+  const [payment, setPayment] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  // Watch for the payment until it arrives or the dialog is closed
+  useEffect(() => {
+    if (!open || !request || payment) return;
+    let isCurrent = true;
+    const poll = async () => {
+      try {
+        const found = await checkPayment(request);
+        if (isCurrent && found) setPayment(found);
+      } catch (err) {
+        console.error(err);
+        if (isCurrent) setError(err.message);
+      }
+    };
+    const timer = setInterval(poll, PAYMENT_POLL_INTERVAL);
+    return () => {
+      isCurrent = false;
+      clearInterval(timer);
+    };
+  }, [open, request, payment, cluster]);
+
+  const reset = () => {
+    setRequest(null);
+    setQrCode('');
+    setPayment(null);
+    setError('');
+  };
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (!isOpen) {
+      reset();
+      setForm(EMPTY_FORM);
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    reset();
+    try {
+      const created = await createPaymentRequest({
+        recipient: publicKey,
+        splToken: asset === 'token' ? mint : null,
+        ...form,
+      });
+      setQrCode(await QRCode.toDataURL(created.url, { width: 256, margin: 1 }));
+      setRequest(created);
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(request.url);
+    setIsCopied(true);
+    setTimeout(() => setIsCopied(false), 2000);
+  };
+
+  const unit = asset === 'sol' ? 'SOL' : tokenUnit;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+          disabled={!publicKey || disabled}
+        >
+          <QrCode className="mr-2" /> Receive
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Receive</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Request a payment with a Solana Pay QR code
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          {!request ? (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <Button
+                  variant={asset === 'sol' ? 'default' : 'outline'}
+                  onClick={() => setAsset('sol')}
+                  className={asset === 'sol' ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+                >
+                  SOL
+                </Button>
+                <Button
+                  variant={asset === 'token' ? 'default' : 'outline'}
+                  onClick={() => setAsset('token')}
+                  disabled={!mint}
+                  className={asset === 'token' ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+                >
+                  Token
+                </Button>
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">Amount ({unit}, optional)</Label>
+                <Input
+                  inputMode="decimal"
+                  value={form.amount}
+                  onChange={(e) => setForm({ ...form, amount: e.target.value.trim() })}
+                  placeholder="Leave empty to let the payer choose"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">Label (optional)</Label>
+                <Input
+                  value={form.label}
+                  onChange={(e) => setForm({ ...form, label: e.target.value })}
+                  placeholder="e.g. Your shop or event"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">Message (optional)</Label>
+                <Input
+                  value={form.message}
+                  onChange={(e) => setForm({ ...form, message: e.target.value })}
+                  placeholder="e.g. Workshop ticket"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <div>
+                <Label className="text-sm text-indigo-700">Memo (optional)</Label>
+                <Input
+                  value={form.memo}
+                  onChange={(e) => setForm({ ...form, memo: e.target.value })}
+                  placeholder="Recorded on-chain with the payment"
+                  className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                />
+              </div>
+              <Button
+                onClick={handleCreate}
+                disabled={isCreating}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+              >
+                {isCreating && <Loader2 className="mr-2 animate-spin" />}
+                {isCreating ? 'Creating...' : 'Create Payment Request'}
+              </Button>
+            </>
+          ) : (
+            <>
+              <div className="flex justify-center">
+                <img src={qrCode} alt="Solana Pay QR code" width={256} height={256} className="rounded-md border border-indigo-100" />
+              </div>
+              <div className="text-center text-sm text-indigo-700">
+                {request.amount ? `${request.amount} ${unit}` : `Any amount of ${unit}`}
+                {request.message && <p className="text-xs text-gray-500">{request.message}</p>}
+              </div>
+              <div className="flex items-center gap-2 bg-indigo-50 p-2 rounded-md">
+                <span className="flex-1 font-mono text-xs text-gray-600 truncate">{request.url}</span>
+                <button
+                  onClick={handleCopy}
+                  className="text-indigo-500 hover:text-indigo-700 transition-colors"
+                  title="Copy payment link"
+                >
+                  {isCopied ? <Check size={14} /> : <Copy size={14} />}
+                </button>
+              </div>
+              {payment ? (
+                <div className="bg-green-50 p-3 rounded-md text-sm text-green-700 space-y-1">
+                  <p className="flex items-center gap-2 font-medium">
+                    <CheckCircle size={16} /> Received {formatAmount(payment.received, payment.decimals)} {unit}
+                  </p>
+                  <p className="font-mono text-xs break-all">Tx: {payment.signature}</p>
+                </div>
+              ) : !error && (
+                <p className="flex items-center justify-center gap-2 text-sm text-gray-500">
+                  <Loader2 size={14} className="animate-spin" /> Waiting for payment...
+                </p>
+              )}
+              <Button
+                onClick={reset}
+                variant="outline"
+                className="w-full text-indigo-700"
+              >
+                New Request
+              </Button>
+            </>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
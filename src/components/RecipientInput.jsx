@@ -0,0 +1,164 @@
+/**
+ * @component RecipientInput
+ * @description A recipient address field that suggests saved contacts as the user types and checks the address once
+ * typing pauses. Errors that would make the transfer fail or lose the funds are shown in red, anything that only
+ * deserves a second look in amber. A valid address that is not saved yet can be added to the address book.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { AlertTriangle, BookUser, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { saveContact, searchContacts } from '../lib/addressBook';
+import { checkRecipient } from '../lib/recipient';
+
+const CHECK_DELAY_MS = 400;
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-6)}`;
+
+export default function RecipientInput({ value, onChange, sender, mode, onCheck, cluster }) {
+  const [check, setCheck] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [label, setLabel] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+
+  // Check the address once the user stops typing
+  useEffect(() => {
+    setCheck(null);
+    onCheck(null);
+    if (!value) return;
+    let isCurrent = true;
+    setIsChecking(true);
+    const timer = setTimeout(() => {
+      checkRecipient(value, { sender, mode })
+        .catch((err) => {
+          console.error(err);
+          // An address that could not be checked is not safe to send to
+          return { address: null, contact: null, issues: [{ level: 'error', message: err.message }] };
+        })
+        .then((result) => {
+          if (!isCurrent) return;
+          setCheck(result);
+          onCheck(result);
+          setIsChecking(false);
+        });
+    }, CHECK_DELAY_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+      setIsChecking(false);
+    };
+  }, [value, mode, sender, cluster]);
+
+  const suggestions = showSuggestions
+    ? searchContacts(value).filter((contact) => contact.address !== value)
+    : [];
+
+  const handleSave = () => {
+    setSaveError('');
+    try {
+      saveContact({ address: check.address, label });
+      setCheck({ ...check, contact: { address: check.address.toBase58(), label: label.trim() } });
+      setIsSaving(false);
+      setLabel('');
+    } catch (error) {
+      setSaveError(error.message);
+    }
+  };
+
+  return (
+    <div>
+      <Label className="text-sm text-indigo-700">Recipient Address</Label>
+      <div className="relative">
+        <Input
+          value={value}
+          onChange={(e) => onChange(e.target.value.trim())}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          placeholder="Enter an address or search your address book"
+          className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+        />
+        {suggestions.length > 0 && (
+          <div className="absolute z-10 mt-1 w-full bg-white border border-indigo-200 rounded-md shadow-lg">
+            {suggestions.map((contact) => (
+              <button
+                key={contact.address}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  onChange(contact.address);
+                  setShowSuggestions(false);
+                }}
+                className="w-full flex justify-between gap-2 px-3 py-2 text-left text-sm hover:bg-indigo-50"
+              >
+                <span className="text-indigo-700 truncate">{contact.label}</span>
+                <span className="font-mono text-xs text-gray-500">{shorten(contact.address)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {isChecking && (
+        <p className="flex items-center gap-1 mt-1 text-xs text-gray-500">
+          <Loader2 size={12} className="animate-spin" /> Checking address...
+        </p>
+      )}
+      {check && check.contact && (
+        <p className="flex items-center gap-1 mt-1 text-xs text-indigo-700">
+          <BookUser size={12} /> {check.contact.label}
+        </p>
+      )}
+      {check && check.issues.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {check.issues.map(({ level, message, suggestion }) => (
+            <div key={message} className={`flex items-start gap-2 text-xs ${level === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+              <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+              <div className="break-all">
+                {message}
+                {suggestion && (
+                  <button
+                    onClick={() => onChange(suggestion.address)}
+                    className="block text-indigo-600 hover:text-indigo-800 underline"
+                  >
+                    {suggestion.label}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {check && check.address && !check.contact && !check.issues.some(({ level }) => level === 'error') && (
+        isSaving ? (
+          <div className="mt-2 space-y-1">
+            <div className="flex gap-2">
+              <Input
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                placeholder="Label, e.g. Alice"
+                className="h-8 text-sm border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+              <Button onClick={handleSave} disabled={!label.trim()} variant="outline" className="h-8 text-indigo-700">
+                Save
+              </Button>
+            </div>
+            {saveError && (
+              <p className="text-red-500 text-xs">{saveError}</p>
+            )}
+          </div>
+        ) : (
+          <button
+            onClick={() => setIsSaving(true)}
+            className="mt-1 flex items-center gap-1 text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+          >
+            <BookUser size={12} /> Save to address book
+          </button>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * @component SimulationPreview
+ * @description Shows the result of simulating a transaction before it is signed: the SOL and token balance changes
+ * of every account it touches, the compute units it used and its program logs, or the decoded error when it fails.
+ */
+
+'use client';
+
+import { CheckCircle, XCircle } from 'lucide-react';
+import { formatAmount } from '../lib/amount';
+import { formatMintLabel } from '../lib/metadata';
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-6)}`;
+
+const signed = (delta, decimals) => `${delta > 0n ? '+' : ''}${formatAmount(delta, decimals)}`;
+
+export default function SimulationPreview({ preview }) {
+  return (
+    <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-2">
+      {preview.success ? (
+        <p className="flex items-center gap-2 text-green-700">
+          <CheckCircle size={16} /> Simulation succeeded using {preview.unitsConsumed.toLocaleString()} compute units
+        </p>
+      ) : (
+        <div className="space-y-1">
+          <p className="flex items-center gap-2 text-red-600 font-medium">
+            <XCircle size={16} /> This transaction would fail
+          </p>
+          <p className="text-xs text-red-500 break-all">{preview.error}</p>
+        </div>
+      )}
+      {preview.balanceChanges.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs font-medium text-indigo-700">Expected balance changes</p>
+          {preview.balanceChanges.map(({ address, isFeePayer, sol, token }) => (
+            <div key={address} className="flex justify-between gap-2 text-xs">
+              <span className="font-mono text-gray-600">{isFeePayer ? 'Your wallet' : shorten(address)}</span>
+              <div className="text-right">
+                {sol.pre !== sol.post && (
+                  <p className={sol.post > sol.pre ? 'text-green-700' : 'text-red-600'}>
+                    {signed(sol.post - sol.pre, 9)} SOL
+                    <span className="text-gray-500"> ({formatAmount(sol.pre, 9)} → {formatAmount(sol.post, 9)})</span>
+                  </p>
+                )}
+                {token && token.pre !== token.post && (
+                  <p className={token.post > token.pre ? 'text-green-700' : 'text-red-600'}>
+                    {signed(token.post - token.pre, token.decimals)} {formatMintLabel(token.mint)}
+                    <span className="text-gray-500">
+                      {' '}({formatAmount(token.pre, token.decimals)} → {formatAmount(token.post, token.decimals)})
+                    </span>
+                  </p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {preview.logs.length > 0 && (
+        <details className="text-xs">
+          <summary className="cursor-pointer text-indigo-700">Program logs ({preview.logs.length})</summary>
+          <pre className="mt-1 max-h-40 overflow-auto whitespace-pre-wrap break-all bg-white p-2 rounded text-gray-600">
+            {preview.logs.join('\n')}
+          </pre>
+        </details>
+      )}
+    </div>
+  );
+}
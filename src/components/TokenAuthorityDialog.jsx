@@ -0,0 +1,199 @@
+/**
+ * @component TokenAuthorityDialog
+ * @description A dialog showing the active mint's mint and freeze authorities. The holder can transfer either one
+ * or revoke it for good, which must be confirmed by typing a phrase, and can freeze or thaw token accounts while
+ * holding the freeze authority.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { ShieldCheck, Snowflake, Sun, AlertTriangle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { MINT_AUTHORITIES } from '../lib/token';
+
+const shorten = (address) => `${address.toBase58().slice(0, 6)}...${address.toBase58().slice(-6)}`;
+
+const REVOKE_CONSEQUENCES = {
+  mint: 'No more tokens can ever be minted. The supply is fixed at its current amount.',
+  freeze: 'No token account of this mint can ever be frozen or thawed again.',
+};
+
+export default function TokenAuthorityDialog({ mintInfo, publicKey, onSetAuthority, onSetFrozen, isLoading, error }) {
+  const [open, setOpen] = useState(false);
+  const [newAuthorities, setNewAuthorities] = useState({ mint: '', freeze: '' });
+  const [revoking, setRevoking] = useState(null);
+  const [confirmation, setConfirmation] = useState('');
+  const [accountAddress, setAccountAddress] = useState('');
+
+  const handleOpenChange = (isOpen) => {
+    if (!isOpen) {
+      setNewAuthorities({ mint: '', freeze: '' });
+      setRevoking(null);
+      setConfirmation('');
+      setAccountAddress('');
+    }
+    setOpen(isOpen);
+  };
+
+  const holds = (authority) => Boolean(mintInfo[MINT_AUTHORITIES[authority].field]
+    && publicKey && mintInfo[MINT_AUTHORITIES[authority].field].equals(publicKey));
+
+  const confirmationPhrase = revoking ? `REVOKE ${revoking.toUpperCase()}` : '';
+
+  const handleTransfer = async (authority) => {
+    const result = await onSetAuthority(authority, newAuthorities[authority]).catch(() => null);
+    if (result) setNewAuthorities((current) => ({ ...current, [authority]: '' }));
+  };
+
+  const handleRevoke = async () => {
+    const result = await onSetAuthority(revoking, null).catch(() => null);
+    if (result) {
+      setRevoking(null);
+      setConfirmation('');
+    }
+  };
+
+  const handleSetFrozen = async (frozen) => {
+    const result = await onSetFrozen(accountAddress, frozen).catch(() => null);
+    if (result) setAccountAddress('');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button
+          disabled={!publicKey || isLoading}
+          className="flex items-center gap-1 text-xs text-indigo-500 hover:text-indigo-700 transition-colors"
+        >
+          <ShieldCheck size={14} /> Authorities
+        </button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Token Authorities</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Who can mint this token and freeze its accounts
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          {Object.entries(MINT_AUTHORITIES).map(([authority, { label, field }]) => (
+            <div key={authority} className="bg-indigo-50 p-3 rounded-md space-y-2">
+              <div className="flex justify-between items-center text-sm">
+                <span className="font-medium text-indigo-700">{label}</span>
+                <span className="font-mono text-gray-600">
+                  {!mintInfo[field] ? 'None' : holds(authority) ? 'Your wallet' : shorten(mintInfo[field])}
+                </span>
+              </div>
+              {holds(authority) && revoking !== authority && (
+                <div className="space-y-2">
+                  <div className="flex gap-2">
+                    <Input
+                      value={newAuthorities[authority]}
+                      onChange={(e) => setNewAuthorities((current) => ({ ...current, [authority]: e.target.value.trim() }))}
+                      placeholder="New authority address"
+                      className="h-9 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                    />
+                    <Button
+                      onClick={() => handleTransfer(authority)}
+                      disabled={isLoading || !newAuthorities[authority]}
+                      variant="outline"
+                      className="h-9 text-indigo-700"
+                    >
+                      Transfer
+                    </Button>
+                  </div>
+                  <button
+                    onClick={() => {
+                      setRevoking(authority);
+                      setConfirmation('');
+                    }}
+                    disabled={isLoading}
+                    className="text-xs text-red-500 hover:text-red-700 transition-colors"
+                  >
+                    Revoke {label.toLowerCase()} permanently
+                  </button>
+                </div>
+              )}
+              {revoking === authority && (
+                <div className="space-y-2">
+                  <p className="flex items-start gap-2 text-xs text-red-600">
+                    <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+                    This cannot be undone. {REVOKE_CONSEQUENCES[authority]}
+                  </p>
+                  <Label className="text-xs text-gray-600">
+                    Type <span className="font-mono font-medium">{confirmationPhrase}</span> to confirm
+                  </Label>
+                  <Input
+                    value={confirmation}
+                    onChange={(e) => setConfirmation(e.target.value)}
+                    className="h-9 border-red-200 focus:border-red-500 focus:ring focus:ring-red-200"
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    <Button
+                      onClick={() => setRevoking(null)}
+                      disabled={isLoading}
+                      variant="outline"
+                      className="text-indigo-700"
+                    >
+                      Cancel
+                    </Button>
+                    <Button
+                      onClick={handleRevoke}
+                      disabled={isLoading || confirmation !== confirmationPhrase}
+                      className="bg-red-600 hover:bg-red-700 transition-colors text-white"
+                    >
+                      {isLoading ? 'Revoking...' : 'Revoke'}
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+          {holds('freeze') && (
+            <div className="bg-indigo-50 p-3 rounded-md space-y-2">
+              <Label className="text-sm font-medium text-indigo-700">Freeze or Thaw an Account</Label>
+              <Input
+                value={accountAddress}
+                onChange={(e) => setAccountAddress(e.target.value.trim())}
+                placeholder="Token account or wallet address"
+                className="h-9 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <Button
+                  onClick={() => handleSetFrozen(true)}
+                  disabled={isLoading || !accountAddress}
+                  variant="outline"
+                  className="text-indigo-700"
+                >
+                  <Snowflake className="mr-2" size={16} /> Freeze
+                </Button>
+                <Button
+                  onClick={() => handleSetFrozen(false)}
+                  disabled={isLoading || !accountAddress}
+                  variant="outline"
+                  className="text-indigo-700"
+                >
+                  <Sun className="mr-2" size={16} /> Thaw
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,103 @@
+/**
+ * @component TokenMetadataDialog
+ * @description A dialog for editing the name, symbol and URI of a token whose metadata update authority is
+ * held by the connected wallet.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Pencil } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+
+export default function TokenMetadataDialog({ metadata, onSave, isLoading, error }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState(metadata.name);
+  const [symbol, setSymbol] = useState(metadata.symbol);
+  const [uri, setUri] = useState(metadata.uri);
+
+  const handleOpenChange = (isOpen) => {
+    if (isOpen) {
+      setName(metadata.name);
+      setSymbol(metadata.symbol);
+      setUri(metadata.uri);
+    }
+    setOpen(isOpen);
+  };
+
+  const handleSave = async () => {
+    const result = await onSave({ name, symbol, uri }).catch(() => null);
+    if (result) setOpen(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <button
+          className="text-indigo-500 hover:text-indigo-700 transition-colors"
+          disabled={isLoading}
+          title="Edit metadata"
+        >
+          <Pencil size={16} />
+        </button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Edit Metadata</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Update the on-chain name, symbol and URI of this token
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 p-4">
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <Label className="text-sm text-indigo-700">Name</Label>
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+            <div>
+              <Label className="text-sm text-indigo-700">Symbol</Label>
+              <Input
+                value={symbol}
+                onChange={(e) => setSymbol(e.target.value.trim())}
+                className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          </div>
+          <div>
+            <Label className="text-sm text-indigo-700">URI</Label>
+            <Input
+              value={uri}
+              onChange={(e) => setUri(e.target.value.trim())}
+              placeholder="https://example.com/token.json"
+              className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          <Button
+            onClick={handleSave}
+            disabled={!name || isLoading}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          >
+            {isLoading ? 'Saving...' : 'Save Metadata'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
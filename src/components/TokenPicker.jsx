@@ -0,0 +1,41 @@
+/**
+ * @component TokenPicker
+ * @description A selector for the active token among the tokens registered for the connected wallet.
+ */
+
+'use client';
+
+import { Trash2 } from 'lucide-react';
+import { formatMintLabel } from '../lib/metadata';
+
+export default function TokenPicker({ tokens, activeMint, onSelect, onRemove, disabled }) {
+  const value = activeMint ? activeMint.toString() : '';
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={value}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled}
+        className="flex-1 h-9 rounded-md border border-indigo-200 bg-white px-3 text-sm text-indigo-700"
+      >
+        {!value && <option value="">Select a token</option>}
+        {tokens.map((token) => (
+          <option key={token.mint} value={token.mint}>
+            {formatMintLabel(token.mint, token)}{token.source === 'imported' ? ' (imported)' : ''}
+          </option>
+        ))}
+      </select>
+      {value && (
+        <button
+          onClick={() => onRemove(value)}
+          disabled={disabled}
+          className="text-indigo-500 hover:text-red-600 transition-colors"
+          title="Forget this token"
+        >
+          <Trash2 size={16} />
+        </button>
+      )}
+    </div>
+  );
+}
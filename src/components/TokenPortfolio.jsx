@@ -0,0 +1,115 @@
+/**
+ * @component TokenPortfolio
+ * @description A panel listing every token account of the connected wallet, with sorting, a text filter and an
+ * option to hide zero balances. Clicking a row makes that token the active one.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { RefreshCcw, Snowflake } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { TOKEN_PROGRAMS } from '../lib/token';
+
+const labelOf = (entry) => entry.name || entry.mint.toBase58();
+
+const SORTS = {
+  balance: { label: 'Balance', compare: (a, b) => Number(b.uiAmountString) - Number(a.uiAmountString) },
+  name: { label: 'Name', compare: (a, b) => labelOf(a).localeCompare(labelOf(b)) },
+  mint: { label: 'Mint', compare: (a, b) => a.mint.toBase58().localeCompare(b.mint.toBase58()) },
+};
+
+export default function TokenPortfolio({ portfolio, activeMint, onSelect, onRefresh, isLoading, error }) {
+  const [sortBy, setSortBy] = useState('balance');
+  const [filter, setFilter] = useState('');
+  const [hideZero, setHideZero] = useState(false);
+
+  const query = filter.trim().toLowerCase();
+  const rows = portfolio
+    .filter((entry) => !hideZero || entry.amount !== '0')
+    .filter((entry) => !query || [entry.name, entry.symbol, entry.mint.toBase58()]
+      .some((value) => value && value.toLowerCase().includes(query)))
+    .sort(SORTS[sortBy].compare);
+
+  return (
+    <div className="bg-white border border-indigo-100 p-4 rounded-lg shadow-md space-y-3">
+      <div className="flex justify-between items-center">
+        <p className="text-sm text-gray-500">Portfolio ({portfolio.length} accounts)</p>
+        <button
+          onClick={onRefresh}
+          disabled={isLoading}
+          className="text-indigo-500 hover:text-indigo-700 transition-colors"
+          title="Refresh portfolio"
+        >
+          <RefreshCcw size={16} className={isLoading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+      <div className="flex gap-2">
+        <Input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by name, symbol or mint"
+          className="h-9 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+        />
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="h-9 rounded-md border border-indigo-200 bg-transparent px-2 text-sm"
+        >
+          {Object.entries(SORTS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-indigo-700">
+        <input type="checkbox" checked={hideZero} onChange={(e) => setHideZero(e.target.checked)} />
+        Hide zero balances
+      </label>
+      {error && (
+        <p className="text-red-500 text-sm">{error}</p>
+      )}
+      <div className="max-h-64 overflow-y-auto space-y-1">
+        {rows.map((entry) => {
+          const isActive = activeMint && entry.mint.equals(activeMint);
+          return (
+            <button
+              key={entry.address.toBase58()}
+              onClick={() => onSelect(entry)}
+              disabled={isLoading}
+              className={`w-full flex justify-between items-center p-2 rounded-md text-left text-sm transition-colors ${
+                isActive ? 'bg-indigo-100' : 'hover:bg-indigo-50'}`}
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-indigo-700 truncate">
+                  {entry.name ? `${entry.name}${entry.symbol ? ` (${entry.symbol})` : ''}` : 'Unknown token'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  <span className="font-mono">{entry.mint.toBase58().slice(0, 12)}...</span> · {entry.decimals} decimals
+                </p>
+              </div>
+              <div className="text-right shrink-0 pl-2">
+                <p className="font-mono text-indigo-700">{entry.uiAmountString}</p>
+                <div className="flex justify-end gap-1">
+                  {entry.programId.equals(TOKEN_PROGRAMS['token-2022'].programId) && (
+                    <Badge variant="secondary" className="text-xs">Token-2022</Badge>
+                  )}
+                  {entry.isFrozen && (
+                    <Badge variant="outline" className="text-xs text-sky-700">
+                      <Snowflake size={12} className="mr-1" /> Frozen
+                    </Badge>
+                  )}
+                </div>
+              </div>
+            </button>
+          );
+        })}
+        {rows.length === 0 && (
+          <p className="text-center text-sm text-gray-500 p-2">
+            {portfolio.length === 0 ? 'No token accounts yet' : 'No tokens match the filter'}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
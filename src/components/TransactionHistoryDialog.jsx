@@ -0,0 +1,192 @@
+/**
+ * @component TransactionHistoryDialog
+ * @description A dialog listing the connected wallet's transactions as readable summaries, newest first, with
+ * "load more" pagination and a filter by transaction type. New transactions are prepended while it is open.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { ReceiptText, Loader2, ArrowDownLeft, ArrowUpRight, Repeat } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+import { getTransactionHistory } from '../lib/wallet';
+import { TRANSACTION_TYPES } from '../lib/history';
+import { formatMintLabel } from '../lib/metadata';
+
+const PAGE_SIZE = 10;
+
+const DIRECTION_ICONS = {
+  in: <ArrowDownLeft size={14} className="text-green-600" />,
+  out: <ArrowUpRight size={14} className="text-red-600" />,
+  self: <Repeat size={14} className="text-gray-500" />,
+};
+
+const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-6)}`;
+
+export default function TransactionHistoryDialog({ publicKey, cluster, activity, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // History belongs to one wallet on one cluster
+  useEffect(() => {
+    setEntries([]);
+    setCursor(null);
+    setHasMore(false);
+  }, [publicKey, cluster]);
+
+  const loadPage = async (before) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const page = await getTransactionHistory(publicKey, { before, limit: PAGE_SIZE });
+      setEntries((current) => (before ? [...current, ...page.entries] : page.entries));
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadNewer = async () => {
+    if (entries.length === 0) return loadPage();
+    try {
+      const page = await getTransactionHistory(publicKey, { until: entries[0].signature, limit: PAGE_SIZE });
+      setEntries((current) => [
+        ...page.entries.filter(({ signature }) => !current.some((entry) => entry.signature === signature)),
+        ...current,
+      ]);
+    } catch (error) {
+      console.error(error);
+      setError(error.message);
+    }
+  };
+
+  // Activity is counted by the parent's subscriptions
+  useEffect(() => {
+    if (open && activity > 0 && !isLoading) loadNewer();
+  }, [activity]);
+
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (isOpen) loadPage();
+  };
+
+  const visible = typeFilter === 'all' ? entries : entries.filter(({ type }) => type === typeFilter);
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button
+          variant="outline"
+          disabled={!publicKey || disabled}
+          className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+        >
+          <ReceiptText className="mr-2" /> Transactions
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Transaction History</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Transactions for your wallet, newest first
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 p-4">
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="w-full h-9 rounded-md border border-indigo-200 bg-transparent px-3 text-sm"
+          >
+            <option value="all">All types</option>
+            {Object.entries(TRANSACTION_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          {error && (
+            <p className="text-red-500 text-sm">{error}</p>
+          )}
+          <AnimatePresence>
+            {visible.map((tx, index) => (
+              <motion.div
+                key={tx.signature}
+                className="bg-indigo-50 p-3 rounded-md text-sm shadow-sm space-y-1"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: (index % PAGE_SIZE) * 0.05 }}
+              >
+                <div className="flex justify-between items-center">
+                  <div className="flex items-center gap-2">
+                    {DIRECTION_ICONS[tx.direction]}
+                    <span className="font-medium text-indigo-700">{TRANSACTION_TYPES[tx.type]}</span>
+                    {!tx.success && (
+                      <Badge variant="destructive" className="text-xs">Failed</Badge>
+                    )}
+                  </div>
+                  <span className="text-xs text-gray-500">
+                    {tx.blockTime ? tx.blockTime.toLocaleString() : `Slot ${tx.slot}`}
+                  </span>
+                </div>
+                {tx.amount && (
+                  <p className="text-indigo-700">
+                    {tx.amount} {tx.mint ? formatMintLabel(tx.mint, tx) : 'SOL'}
+                  </p>
+                )}
+                {!tx.amount && tx.mint && (
+                  <p className="text-indigo-700">{formatMintLabel(tx.mint, tx)}</p>
+                )}
+                {tx.counterparty && (
+                  <p className="text-gray-600">
+                    {tx.direction === 'in' ? 'From' : 'To'}{' '}
+                    <span className="font-mono">{shorten(tx.counterparty)}</span>
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">
+                  <span className="font-mono">{tx.signature.slice(0, 12)}...</span>
+                  {tx.fee && ` · Fee ${tx.fee} SOL`}
+                </p>
+                {tx.error && (
+                  <p className="text-xs text-red-500 break-all">{tx.error}</p>
+                )}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+          {!isLoading && visible.length === 0 && (
+            <p className="text-center text-gray-500 p-4">No transactions found</p>
+          )}
+          {isLoading && (
+            <div className="flex justify-center p-2">
+              <Loader2 className="animate-spin text-indigo-600" />
+            </div>
+          )}
+          {hasMore && !isLoading && (
+            <Button
+              variant="outline"
+              onClick={() => loadPage(cursor)}
+              className="w-full text-indigo-700"
+            >
+              Load More
+            </Button>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
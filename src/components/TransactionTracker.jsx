@@ -0,0 +1,120 @@
+/**
+ * @component TransactionTracker
+ * @description Lists the transactions tracked on the active cluster with the stage each one has reached, and lets
+ * the user resend a transaction whose blockhash expired or dismiss a failed one. The priority fee is shown while the
+ * wallet is waiting for a signature.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Loader2, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import {
+  TRANSACTION_STAGES,
+  getTransactions,
+  onTransactionsChange,
+  resumeTransactions,
+  resendTransaction,
+  dismissTransaction
+} from '../lib/transactionManager';
+import { formatAmount } from '../lib/amount';
+
+const PROGRESS_STAGES = TRANSACTION_STAGES.slice(1);
+
+export default function TransactionTracker({ cluster }) {
+  const [transactions, setTransactions] = useState([]);
+
+  useEffect(() => onTransactionsChange(setTransactions), []);
+
+  // Pick up transactions left unfinished by a reload, or sent before switching away from this cluster
+  useEffect(() => {
+    resumeTransactions();
+    setTransactions(getTransactions());
+  }, [cluster]);
+
+  return (
+    <AnimatePresence>
+      {transactions.map((tx) => {
+        const reached = TRANSACTION_STAGES.indexOf(tx.stage);
+        return (
+          <motion.div
+            key={tx.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="bg-indigo-50 p-3 rounded-md shadow-md text-sm space-y-2"
+          >
+            <div className="flex justify-between items-center">
+              <div className="flex items-center gap-2">
+                {tx.stage === 'finalized' && <CheckCircle size={16} className="text-green-600" />}
+                {tx.stage === 'failed' && <XCircle size={16} className="text-red-600" />}
+                {tx.stage === 'expired' && <AlertTriangle size={16} className="text-amber-600" />}
+                {reached >= 0 && reached < TRANSACTION_STAGES.length - 1 && (
+                  <Loader2 size={16} className="animate-spin text-indigo-600" />
+                )}
+                <span className="font-medium text-indigo-700">{tx.label}</span>
+              </div>
+              {tx.signature && (
+                <span className="font-mono text-xs text-gray-500">{tx.signature.slice(0, 12)}...</span>
+              )}
+            </div>
+            {tx.stage === 'signing' && (
+              <p className="text-xs text-gray-500">Waiting for your wallet to sign</p>
+            )}
+            {tx.priorityFee !== undefined && tx.stage !== 'finalized' && (
+              <p className="text-xs text-gray-500">
+                Priority fee: {formatAmount(tx.priorityFee, 9)} SOL
+                {' '}({tx.computeUnits.toLocaleString()} CU at {tx.microLamports.toLocaleString()} µlamports/CU)
+              </p>
+            )}
+            {reached >= 1 && (
+              <div className="flex gap-1">
+                {PROGRESS_STAGES.map((stage) => (
+                  <div key={stage} className="flex-1">
+                    <div
+                      className={`h-1.5 rounded-full ${
+                        TRANSACTION_STAGES.indexOf(stage) <= reached ? 'bg-indigo-600' : 'bg-indigo-200'}`}
+                    />
+                    <p className="text-[10px] text-gray-500 mt-0.5 capitalize">{stage}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+            {tx.stage === 'failed' && (
+              <p className="text-xs text-red-500 break-all">Failed: {tx.error}</p>
+            )}
+            {tx.stage === 'expired' && (
+              <p className="text-xs text-amber-700">
+                The blockhash expired before this transaction landed, so it will never be processed.
+                {tx.canResend ? ' Re-sign it to try again with a fresh blockhash.' : ''}
+              </p>
+            )}
+            {(tx.stage === 'failed' || tx.stage === 'expired') && (
+              <div className="flex gap-2">
+                {tx.canResend && (
+                  <Button
+                    size="sm"
+                    onClick={() => resendTransaction(tx.id)}
+                    className="bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                  >
+                    Re-sign & Resend
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => dismissTransaction(tx.id)}
+                  className="text-indigo-700"
+                >
+                  Dismiss
+                </Button>
+              </div>
+            )}
+          </motion.div>
+        );
+      })}
+    </AnimatePresence>
+  );
+}
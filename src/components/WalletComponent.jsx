@@ -6,34 +6,55 @@
 
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import {
   Wallet,
   Power,
   Coins,
   Send,
-  ReceiptText,
   RefreshCcw,
-  PlusCircle,
   Copy,
   CheckCircle,
+  Flame,
   Loader2
 } from 'lucide-react';
+import { PublicKey } from '@solana/web3.js';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import {
   connectWallet,
   disconnectWallet,
-  getTransactionHistory
+  getSolBalance,
+  getTokenPortfolio,
+  requestAirdrop,
+  sendSol,
+  estimateSendSol
 } from '../lib/wallet';
 import {
   createNewToken,
   mintTokens,
   sendTokens,
-  getTokenBalance
+  burnTokens,
+  setMintAuthority,
+  freezeTokenAccount,
+  thawTokenAccount,
+  MINT_AUTHORITIES,
+  estimateCreateToken,
+  estimateMintTokens,
+  estimateSendTokens,
+  estimateBurnTokens,
+  getTokenBalance,
+  getMintInfo,
+  lookupToken,
+  createTokenAccount,
+  TOKEN_PROGRAMS
 } from '../lib/token';
-import { connection } from '../lib/connection';
+import { fetchTokenMetadata, updateTokenMetadata, formatMintLabel } from '../lib/metadata';
+import { getCluster, restoreCluster, onClusterChange } from '../lib/connection';
+import { watchWallet, POLL_INTERVAL } from '../lib/subscriptions';
+import { recordRecipient } from '../lib/addressBook';
+import { parsePaymentURL } from '../lib/solanaPay';
 import {
   Dialog,
   DialogContent,
@@ -45,38 +66,99 @@ import {
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { motion, AnimatePresence } from 'framer-motion';
+import {
+  getAvailableWallets,
+  onWalletsChange,
+  getPreferredWallet,
+  setPreferredWallet
+} from '../lib/walletRegistry';
+import {
+  getRegisteredTokens,
+  registerToken,
+  removeToken,
+  getActiveToken,
+  setActiveToken,
+  toTokenState
+} from '../lib/tokenRegistry';
+import ClusterSelector from './ClusterSelector';
+import PriorityFeeSelector from './PriorityFeeSelector';
+import WalletPicker from './WalletPicker';
+import CreateTokenDialog from './CreateTokenDialog';
+import TokenMetadataDialog from './TokenMetadataDialog';
+import TokenPicker from './TokenPicker';
+import ImportTokenDialog from './ImportTokenDialog';
+import TokenPortfolio from './TokenPortfolio';
+import BulkSendDialog from './BulkSendDialog';
+import CleanupAccountsDialog from './CleanupAccountsDialog';
+import TokenAuthorityDialog from './TokenAuthorityDialog';
+import MultisigDialog from './MultisigDialog';
+import AddressBookDialog from './AddressBookDialog';
+import RecipientInput from './RecipientInput';
+import ReceiveDialog from './ReceiveDialog';
+import TransactionHistoryDialog from './TransactionHistoryDialog';
+import ExportHistoryDialog from './ExportHistoryDialog';
+import AirdropDialog from './AirdropDialog';
+import TransactionTracker from './TransactionTracker';
+import CostEstimate from './CostEstimate';
+import SimulationPreview from './SimulationPreview';
 
 export default function WalletComponent() {
   const [walletInfo, setWalletInfo] = useState('Not connected');
   const [status, setStatus] = useState('Idle');
+  const [tokens, setTokens] = useState([]);
+  const [portfolio, setPortfolio] = useState([]);
+  const [portfolioError, setPortfolioError] = useState('');
+  const [isPortfolioLoading, setIsPortfolioLoading] = useState(false);
   const [mint, setMint] = useState(null);
   const [tokenAccount, setTokenAccount] = useState(null);
+  const [tokenMetadata, setTokenMetadata] = useState(null);
+  const [mintInfo, setMintInfo] = useState(null);
+  const [wallets, setWallets] = useState([]);
   const [provider, setProvider] = useState(null);
   const [publicKey, setPublicKey] = useState(null);
   const [solBalance, setSolBalance] = useState(0);
   const [recipientAddress, setRecipientAddress] = useState('');
-  const [transactionHistory, setTransactionHistory] = useState([]);
+  const [recipientCheck, setRecipientCheck] = useState(null);
+  const [paymentLink, setPaymentLink] = useState('');
+  const [paymentRequest, setPaymentRequest] = useState(null);
+  const [sendMode, setSendMode] = useState('sol');
+  const [sendAmount, setSendAmount] = useState('');
+  const [mintAmount, setMintAmount] = useState('');
+  const [burnAmount, setBurnAmount] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
   const [dialogError, setDialogError] = useState('');
+  const [costEstimate, setCostEstimate] = useState(null);
+  const [cluster, setCluster] = useState(getCluster);
+  const [updateMode, setUpdateMode] = useState(null);
+  const [activity, setActivity] = useState(0);
+  const portfolioRefreshTimer = useRef(null);
 
   useEffect(() => {
-    const checkPhantom = () => {
-      if (window.solana && window.solana.isPhantom) {
-        setProvider(window.solana);
-      }
-    };
-    checkPhantom();
-    window.addEventListener('load', checkPhantom);
-    return () => window.removeEventListener('load', checkPhantom);
+    const unsubscribe = onClusterChange(setCluster);
+    restoreCluster();
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    setWallets(getAvailableWallets());
+    return onWalletsChange(setWallets);
   }, []);
 
+  // Silently reconnect to the wallet picked last time once it has been injected
+  useEffect(() => {
+    if (provider) return;
+    const preferred = wallets.find((wallet) => wallet.name === getPreferredWallet());
+    if (!preferred) return;
+    setProvider(preferred);
+    connectWallet(preferred, { silent: true }).catch((error) => console.error(error));
+  }, [wallets, provider]);
+
   useEffect(() => {
     if (provider) {
       const handleConnect = async (pubKey) => {
         setPublicKey(pubKey);
-        const balance = await connection.getBalance(pubKey);
-        setSolBalance(balance / 1e9);
+        setSolBalance(await getSolBalance(pubKey));
         setWalletInfo(`${pubKey.toString().slice(0, 6)}...${pubKey.toString().slice(-6)}`);
       };
       const handleDisconnect = () => {
@@ -84,16 +166,112 @@ export default function WalletComponent() {
         setSolBalance(0);
         setWalletInfo('Not connected');
       };
-      provider.on('connect', handleConnect);
-      provider.on('disconnect', handleDisconnect);
+      const unsubscribers = [
+        provider.on('connect', handleConnect),
+        provider.on('accountChanged', handleConnect),
+        provider.on('disconnect', handleDisconnect),
+      ];
       if (provider.isConnected && provider.publicKey) handleConnect(provider.publicKey);
-      return () => {
-        provider.removeListener('connect', handleConnect);
-        provider.removeListener('disconnect', handleDisconnect);
-      };
+      return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
     }
   }, [provider]);
 
+  // Balances belong to the previous cluster, so re-read them
+  useEffect(() => {
+    if (publicKey) {
+      getSolBalance(publicKey)
+        .then(setSolBalance)
+        .catch((error) => setStatus(`Error: ${error.message}`));
+    }
+  }, [cluster]);
+
+  const applyToken = (token) => {
+    const { mint, tokenAccount } = token ? toTokenState(token) : { mint: null, tokenAccount: null };
+    setMint(mint);
+    setTokenAccount(tokenAccount);
+  };
+
+  const loadPortfolio = async (owner) => {
+    setIsPortfolioLoading(true);
+    setPortfolioError('');
+    try {
+      setPortfolio(await getTokenPortfolio(owner));
+    } catch (error) {
+      console.error(error);
+      setPortfolioError(error.message);
+    } finally {
+      setIsPortfolioLoading(false);
+    }
+  };
+
+  // Several notifications usually arrive for one transaction, so refresh the portfolio once they settle
+  const schedulePortfolioRefresh = (owner) => {
+    clearTimeout(portfolioRefreshTimer.current);
+    portfolioRefreshTimer.current = setTimeout(() => loadPortfolio(owner), 1000);
+  };
+
+  // Registered tokens and the portfolio are scoped to the wallet and cluster, so reload them whenever either changes
+  useEffect(() => {
+    if (!publicKey) {
+      setTokens([]);
+      setPortfolio([]);
+      applyToken(null);
+      return;
+    }
+    setTokens(getRegisteredTokens(publicKey));
+    applyToken(getActiveToken(publicKey));
+    loadPortfolio(publicKey);
+  }, [publicKey, cluster]);
+
+  const watchedAccounts = [...new Set([
+    ...portfolio.map((entry) => entry.address.toBase58()),
+    ...(tokenAccount ? [tokenAccount.address.toBase58()] : []),
+  ])].join(',');
+
+  // Keep balances and history current; the subscriptions are torn down on disconnect and cluster switch
+  useEffect(() => {
+    if (!publicKey) {
+      setUpdateMode(null);
+      return;
+    }
+    const stopWatching = watchWallet(publicKey, watchedAccounts ? watchedAccounts.split(',') : [], {
+      onSolBalance: setSolBalance,
+      onTokenAccountChange: () => schedulePortfolioRefresh(publicKey),
+      onActivity: () => {
+        setActivity((count) => count + 1);
+        schedulePortfolioRefresh(publicKey);
+      },
+      onModeChange: setUpdateMode,
+    });
+    return () => {
+      stopWatching();
+      clearTimeout(portfolioRefreshTimer.current);
+    };
+  }, [publicKey, cluster, watchedAccounts]);
+
+  useEffect(() => {
+    setTokenMetadata(null);
+    setMintInfo(null);
+    if (!mint) return;
+    let cancelled = false;
+    fetchTokenMetadata(mint)
+      .then((metadata) => !cancelled && setTokenMetadata(metadata))
+      .catch((error) => console.error(error));
+    getMintInfo(mint)
+      .then((info) => !cancelled && setMintInfo(info))
+      .catch((error) => console.error(error));
+    return () => {
+      cancelled = true;
+    };
+  }, [mint]);
+
+  const tokenUnit = (tokenMetadata && tokenMetadata.symbol) || 'tokens';
+  const activeEntry = tokenAccount && portfolio.find((entry) => entry.address.equals(tokenAccount.address));
+  const canEditMetadata = Boolean(
+    tokenMetadata && tokenMetadata.isMutable && publicKey
+      && tokenMetadata.updateAuthority.toString() === publicKey.toString()
+  );
+
   const executeWithLoading = async (fn, successMessage) => {
     setIsLoading(true);
     setDialogError('');
@@ -112,12 +290,15 @@ export default function WalletComponent() {
     }
   };
 
-  // TThis is function to handle wallet connection
-  const handleConnectWallet = () => executeWithLoading(
+  // This is function to handle wallet connection
+  const handleConnectWallet = (wallet) => executeWithLoading(
     async () => {
-      if (!provider) throw new Error('No Phantom wallet detected');
-      const { publicKey, balance } = await connectWallet(provider);
-      setPublicKey(publicKey);
+      if (!wallet) throw new Error('No wallet detected');
+      setProvider(wallet);
+      const { publicKey, balance } = await connectWallet(wallet);
+      setPreferredWallet(wallet.name);
+      // connectWallet returns the address as a string; keep a PublicKey so it can be compared with .equals()
+      setPublicKey(new PublicKey(publicKey));
       setSolBalance(balance);
       setWalletInfo(`${publicKey.toString().slice(0, 6)}...${publicKey.toString().slice(-6)}`);
       return 'Wallet connected successfully';
@@ -129,24 +310,81 @@ export default function WalletComponent() {
     async () => {
       if (!provider) throw new Error('No wallet to disconnect');
       const message = await disconnectWallet(provider);
+      setPreferredWallet(null);
+      setProvider(null);
       setPublicKey(null);
       setSolBalance(0);
-      setMint(null);
-      setTokenAccount(null);
       setWalletInfo('Not connected');
       return 'Wallet disconnected successfully';
     }
   );
 
+  // This is function to handle estimating an action's cost before it is confirmed. The estimate is keyed by the
+  // action and its inputs, so editing the form hides a stale estimate
+  const handleEstimate = (key, estimate) => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      setCostEstimate(null);
+      const result = await estimate();
+      setCostEstimate({ key, ...result });
+      return result;
+    },
+    'Review the transaction before signing'
+  );
+
   // This is function to handle token creation
-  const handleCreateToken = () => executeWithLoading(
+  const handleCreateToken = (options) => executeWithLoading(
     async () => {
       if (!provider || !publicKey) throw new Error('Please connect your wallet first');
-      if (solBalance < 0.002) throw new Error('Insufficient SOL. You need at least 0.002 SOL.');
-      const { mint, tokenAccount } = await createNewToken(provider);
+      const { mint, tokenAccount } = await createNewToken(provider, options);
+      const programLabel = TOKEN_PROGRAMS[options.program || 'token'].label;
+      setTokens(registerToken(publicKey, {
+        mint,
+        tokenAccount: tokenAccount.address,
+        programId: TOKEN_PROGRAMS[options.program || 'token'].programId,
+        name: options.metadata && options.metadata.name,
+        symbol: options.metadata && options.metadata.symbol,
+        source: 'created',
+      }));
       setMint(mint);
       setTokenAccount(tokenAccount);
-      return `Token created: ${mint.toBase58().slice(0, 12)}...`;
+      setCostEstimate(null);
+      loadPortfolio(publicKey);
+      return `${programLabel} created: ${formatMintLabel(mint, options.metadata)} (${options.decimals} decimals)`;
+    }
+  );
+
+  // This is function to handle looking up a mint before importing it
+  const handleLookupToken = (address, program) => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      const { mintInfo, tokenAccount } = await lookupToken(address, publicKey, program);
+      const metadata = await fetchTokenMetadata(mintInfo.address).catch(() => null);
+      return { mintInfo, tokenAccount, metadata };
+    },
+    'Mint found'
+  );
+
+  // This is function to handle importing an existing mint
+  const handleImportToken = ({ mintInfo, tokenAccount, metadata }) => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      const { address: mint, programId } = mintInfo;
+      const address = tokenAccount.exists
+        ? tokenAccount.address
+        : await createTokenAccount(provider, mint, programId);
+      setTokens(registerToken(publicKey, {
+        mint,
+        tokenAccount: address,
+        programId,
+        name: metadata && metadata.name,
+        symbol: metadata && metadata.symbol,
+        source: 'imported',
+      }));
+      setMint(mint);
+      setTokenAccount({ address });
+      loadPortfolio(publicKey);
+      return `Imported ${formatMintLabel(mint, metadata)}`;
     }
   );
 
@@ -154,21 +392,87 @@ export default function WalletComponent() {
   const handleMintTokens = () => executeWithLoading(
     async () => {
       if (!provider || !publicKey) throw new Error('Please connect your wallet first');
-      if (!mint || !tokenAccount) throw new Error('Create a token first');
-      const txSignature = await mintTokens(provider, mint, tokenAccount, 100);
-      return `Minted 100 tokens. Tx: ${txSignature.slice(0, 12)}...`;
+      if (!mint || !tokenAccount) throw new Error('Create or select a token first');
+      const txSignature = await mintTokens(provider, mint, tokenAccount, mintAmount);
+      setMintAmount('');
+      setCostEstimate(null);
+      loadPortfolio(publicKey);
+      return `Minted ${mintAmount} ${tokenUnit}. Tx: ${txSignature.slice(0, 12)}...`;
     }
   );
 
-
   // This is function to handle sending tokens
   const handleSendTokens = () => executeWithLoading(
     async () => {
       if (!provider || !publicKey) throw new Error('Please connect your wallet first');
-      if (!mint || !tokenAccount) throw new Error('Create and mint tokens first');
-      const txSignature = await sendTokens(provider, mint, tokenAccount, recipientAddress, 50);
+      if (!mint || !tokenAccount) throw new Error('Select a token with a balance first');
+      const txSignature = await sendTokens(provider, mint, tokenAccount, recipientAddress, sendAmount, payment);
+      recordRecipient(recipientAddress);
+      loadPortfolio(publicKey);
       setRecipientAddress('');
-      return `Sent 50 tokens. Tx: ${txSignature.slice(0, 12)}...`;
+      setSendAmount('');
+      setPaymentRequest(null);
+      setCostEstimate(null);
+      return `Sent ${sendAmount} ${tokenUnit}. Tx: ${txSignature.slice(0, 12)}...`;
+    }
+  );
+
+  // This is function to handle pre-filling the send dialog from a Solana Pay link
+  const handleLoadPaymentLink = () => {
+    setDialogError('');
+    try {
+      const request = parsePaymentURL(paymentLink);
+      if (request.splToken && !(mint && mint.toString() === request.splToken.toBase58())) {
+        if (!tokens.some((token) => token.mint === request.splToken.toBase58())) {
+          throw new Error(`This link asks for ${formatMintLabel(request.splToken)}, which is not in your token list. Import it first`);
+        }
+        handleSelectToken(request.splToken.toBase58());
+      }
+      setSendMode(request.splToken ? 'token' : 'sol');
+      setRecipientAddress(request.recipient.toBase58());
+      setSendAmount(request.amount || '');
+      setPaymentRequest(request);
+      setPaymentLink('');
+    } catch (error) {
+      setDialogError(error.message);
+    }
+  };
+
+  // This is function to handle burning tokens
+  const handleBurnTokens = () => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      if (!mint || !tokenAccount) throw new Error('Select a token with a balance first');
+      const txSignature = await burnTokens(provider, mint, tokenAccount, burnAmount);
+      setBurnAmount('');
+      setCostEstimate(null);
+      loadPortfolio(publicKey);
+      return `Burned ${burnAmount} ${tokenUnit}. Tx: ${txSignature.slice(0, 12)}...`;
+    }
+  );
+
+  // This is function to handle sending native SOL
+  const handleSendSol = () => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      const txSignature = await sendSol(provider, recipientAddress, sendAmount, payment);
+      recordRecipient(recipientAddress);
+      setSolBalance(await getSolBalance(publicKey));
+      setRecipientAddress('');
+      setSendAmount('');
+      setPaymentRequest(null);
+      setCostEstimate(null);
+      return `Sent ${sendAmount} SOL. Tx: ${txSignature.slice(0, 12)}...`;
+    }
+  );
+
+  // This is function to handle requesting test SOL from the cluster's faucet
+  const handleAirdrop = (amount) => executeWithLoading(
+    async () => {
+      if (!publicKey) throw new Error('Please connect your wallet first');
+      const txSignature = await requestAirdrop(publicKey, amount);
+      setSolBalance(await getSolBalance(publicKey));
+      return `Airdropped ${amount} SOL. Tx: ${txSignature.slice(0, 12)}...`;
     }
   );
 
@@ -176,29 +480,89 @@ export default function WalletComponent() {
   const handleCheckBalance = () => executeWithLoading(
     async () => {
       if (!provider || !publicKey) throw new Error('Please connect your wallet first');
-      if (!tokenAccount) throw new Error('Create a token first');
+      if (!tokenAccount) throw new Error('Create or select a token first');
       const balance = await getTokenBalance(tokenAccount);
-      return `Token Balance: ${balance}`;
+      return `${formatMintLabel(mint, tokenMetadata)} Balance: ${balance.uiAmountString} ${tokenUnit}`;
     }
   );
 
-  // This is function to handle fetching transaction history
-  const handleTransactionHistory = () => executeWithLoading(
+  // This is function to handle editing token metadata
+  const handleUpdateMetadata = (data) => executeWithLoading(
     async () => {
       if (!provider || !publicKey) throw new Error('Please connect your wallet first');
-      const history = await getTransactionHistory(provider.publicKey);
-      setTransactionHistory(history);
-      return 'Transaction history updated';
+      if (!mint) throw new Error('Create or select a token first');
+      const txSignature = await updateTokenMetadata(provider, mint, data);
+      setTokenMetadata(await fetchTokenMetadata(mint));
+      return `Metadata updated. Tx: ${txSignature.slice(0, 12)}...`;
     }
   );
 
+  // This is function to handle transferring or revoking the mint or freeze authority
+  const handleSetAuthority = (authority, newAuthority) => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      if (!mint) throw new Error('Create or select a token first');
+      const txSignature = await setMintAuthority(provider, mint, authority, newAuthority || null);
+      setMintInfo(await getMintInfo(mint));
+      const { label } = MINT_AUTHORITIES[authority];
+      return `${label} ${newAuthority ? 'transferred' : 'revoked'}. Tx: ${txSignature.slice(0, 12)}...`;
+    }
+  );
+
+  // This is function to handle freezing or thawing a token account of the active mint
+  const handleSetFrozen = (address, frozen) => executeWithLoading(
+    async () => {
+      if (!provider || !publicKey) throw new Error('Please connect your wallet first');
+      if (!mint) throw new Error('Create or select a token first');
+      const txSignature = await (frozen ? freezeTokenAccount : thawTokenAccount)(provider, mint, address);
+      loadPortfolio(publicKey);
+      return `Account ${frozen ? 'frozen' : 'thawed'}. Tx: ${txSignature.slice(0, 12)}...`;
+    }
+  );
+
+  const handleSelectToken = (address) => {
+    setActiveToken(publicKey, address || null);
+    applyToken(tokens.find((token) => token.mint === address));
+  };
+
+  const handleSelectPortfolioToken = (entry) => {
+    setTokens(registerToken(publicKey, {
+      mint: entry.mint,
+      tokenAccount: entry.address,
+      programId: entry.programId,
+      name: entry.name,
+      symbol: entry.symbol,
+      source: 'imported',
+    }));
+    setMint(entry.mint);
+    setTokenAccount({ address: entry.address });
+  };
+
+  const handleRemoveToken = (address) => {
+    setTokens(removeToken(publicKey, address));
+    applyToken(null);
+  };
+
+  // A loaded payment link only applies while its recipient and token are still the ones being paid
+  const payment = paymentRequest && paymentRequest.recipient.toBase58() === recipientAddress
+    && (paymentRequest.splToken ? sendMode === 'token' && String(mint) === paymentRequest.splToken.toBase58() : sendMode === 'sol')
+    ? paymentRequest
+    : null;
+  const sendKey = `send:${sendMode}:${mint}:${recipientAddress}:${sendAmount}:${payment ? payment.url : ''}`;
+  const sendReview = costEstimate && costEstimate.key === sendKey ? costEstimate : null;
+  const recipientBlocked = !recipientCheck || recipientCheck.issues.some(({ level }) => level === 'error');
+  const mintKey = `mint:${mint}:${mintAmount}`;
+  const mintReview = costEstimate && costEstimate.key === mintKey ? costEstimate : null;
+  const burnKey = `burn:${mint}:${burnAmount}`;
+  const burnReview = costEstimate && costEstimate.key === burnKey ? costEstimate : null;
+
   const copyToClipboard = () => {
     navigator.clipboard.writeText(publicKey.toString());
     setIsCopied(true);
     setTimeout(() => setIsCopied(false), 2000);
   };
 
-  if (!provider) {
+  if (wallets.length === 0) {
     return (
       <motion.div
         initial={{ opacity: 0 }}
@@ -210,13 +574,15 @@ export default function WalletComponent() {
             <CardTitle className="text-2xl font-bold text-center text-indigo-800">Wallet Connection</CardTitle>
           </CardHeader>
           <CardContent className="text-center space-y-4 p-6 bg-white">
-            <p className="text-gray-600">Phantom wallet is required to proceed.</p>
+            <p className="text-gray-600">
+              A Solana wallet such as Phantom, Solflare or Backpack is required to proceed.
+            </p>
             <Button
               variant="outline"
               className="w-full bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
-              onClick={() => window.open('https://phantom.app/', '_blank')}
+              onClick={() => window.open('https://solana.com/solana-wallets', '_blank')}
             >
-              <Wallet className="mr-2" /> Get Phantom Wallet
+              <Wallet className="mr-2" /> Get a Solana Wallet
             </Button>
           </CardContent>
         </Card>
@@ -233,12 +599,16 @@ export default function WalletComponent() {
       <Card className="w-full max-w-md shadow-2xl rounded-xl border-2 border-indigo-100 overflow-hidden p-4">
         <CardHeader className="bg-white border-b border-indigo-100 flex flex-row items-center justify-between p-4 shadow-sm">
           <CardTitle className="text-xl font-bold text-indigo-800">Solana Wallet</CardTitle>
-          <Badge
-            variant={publicKey ? 'default' : 'destructive'}
-            className="px-3 py-1 text-xs font-semibold"
-          >
-            {publicKey ? 'Connected' : 'Disconnected'}
-          </Badge>
+          <div className="flex items-center gap-2">
+            <ClusterSelector cluster={cluster} disabled={isLoading} />
+            <PriorityFeeSelector cluster={cluster} disabled={isLoading} />
+            <Badge
+              variant={publicKey ? 'default' : 'destructive'}
+              className="px-3 py-1 text-xs font-semibold"
+            >
+              {publicKey ? 'Connected' : 'Disconnected'}
+            </Badge>
+          </div>
         </CardHeader>
         <CardContent className="p-6 bg-white">
           <div className="space-y-6">
@@ -251,6 +621,11 @@ export default function WalletComponent() {
                 <div>
                   <p className="text-sm text-gray-500">Wallet Address</p>
                   <p className="font-mono text-indigo-700">{walletInfo}</p>
+                  {updateMode && (
+                    <p className="text-xs text-gray-500">
+                      {updateMode === 'websocket' ? 'Live updates' : `Updating every ${POLL_INTERVAL / 1000}s`}
+                    </p>
+                  )}
                 </div>
                 {publicKey && (
                   <button
@@ -264,19 +639,113 @@ export default function WalletComponent() {
               <div className="text-right">
                 <p className="text-sm text-gray-500">SOL Balance</p>
                 <p className="text-lg font-semibold text-indigo-800">{solBalance.toFixed(4)} SOL</p>
+                {publicKey && (
+                  <AirdropDialog
+                    cluster={cluster}
+                    onAirdrop={handleAirdrop}
+                    isLoading={isLoading}
+                    error={dialogError}
+                  />
+                )}
               </div>
             </motion.div>
 
-            <div className="grid grid-cols-2 gap-3">
+            {publicKey && (
+              <div className="bg-indigo-50 p-4 rounded-lg shadow-md space-y-2">
+                <div className="flex justify-between items-center">
+                  <p className="text-sm text-gray-500">Active Token</p>
+                  <ImportTokenDialog
+                    publicKey={publicKey}
+                    onLookup={handleLookupToken}
+                    onImport={handleImportToken}
+                    isLoading={isLoading}
+                    error={dialogError}
+                  />
+                </div>
+                {tokens.length > 0 ? (
+                  <TokenPicker
+                    tokens={tokens}
+                    activeMint={mint}
+                    onSelect={handleSelectToken}
+                    onRemove={handleRemoveToken}
+                    disabled={isLoading}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">Create a token or import an existing mint</p>
+                )}
+                {mint && (
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-indigo-700">{formatMintLabel(mint, tokenMetadata)}</p>
+                      <p className="font-mono text-xs text-gray-500">{mint.toString().slice(0, 12)}...</p>
+                      {activeEntry && (
+                        <p className="text-sm text-indigo-800">Balance: {activeEntry.uiAmountString} {tokenUnit}</p>
+                      )}
+                      {mintInfo && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          <Badge variant="secondary" className="text-xs">
+                            {mintInfo.programId.equals(TOKEN_PROGRAMS['token-2022'].programId) ? 'Token-2022' : 'SPL Token'}
+                          </Badge>
+                          {mintInfo.extensions.map(({ type, description }) => (
+                            <Badge key={type} variant="outline" className="text-xs text-indigo-700">{description}</Badge>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex flex-col items-end gap-2">
+                      {mintInfo && (
+                        <TokenAuthorityDialog
+                          mintInfo={mintInfo}
+                          publicKey={publicKey}
+                          onSetAuthority={handleSetAuthority}
+                          onSetFrozen={handleSetFrozen}
+                          isLoading={isLoading}
+                          error={dialogError}
+                        />
+                      )}
+                      {canEditMetadata && (
+                        <TokenMetadataDialog
+                          metadata={tokenMetadata}
+                          onSave={handleUpdateMetadata}
+                          isLoading={isLoading}
+                          error={dialogError}
+                        />
+                      )}
+                      {activeEntry && (
+                        <BulkSendDialog
+                          provider={provider}
+                          publicKey={publicKey}
+                          mint={mint}
+                          tokenAccount={tokenAccount}
+                          tokenUnit={tokenUnit}
+                          disabled={isLoading}
+                          onComplete={() => loadPortfolio(publicKey)}
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {publicKey && (
+              <TokenPortfolio
+                portfolio={portfolio}
+                activeMint={mint}
+                onSelect={handleSelectPortfolioToken}
+                onRefresh={() => loadPortfolio(publicKey)}
+                isLoading={isPortfolioLoading}
+                error={portfolioError}
+              />
+            )}
+
+            <div className="grid grid-cols-3 gap-3">
               {!publicKey ? (
-                <Button
-                  onClick={handleConnectWallet}
-                  className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
-                  disabled={isLoading}
-                >
-                  {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <Wallet className="mr-2" />}
-                  {isLoading ? 'Connecting...' : 'Connect'}
-                </Button>
+                <WalletPicker
+                  wallets={wallets}
+                  onSelect={handleConnectWallet}
+                  isLoading={isLoading}
+                />
               ) : (
                 <Button
                   variant="destructive"
@@ -301,127 +770,286 @@ export default function WalletComponent() {
                 </DialogTrigger>
                 <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
                   <DialogHeader className="space-y-2">
-                    <DialogTitle className="text-2xl font-bold text-indigo-800">Send Tokens</DialogTitle>
+                    <DialogTitle className="text-2xl font-bold text-indigo-800">
+                      {sendMode === 'sol' ? 'Send SOL' : 'Send Tokens'}
+                    </DialogTitle>
                     <DialogDescription className="text-gray-600">
-                      Send tokens to another Solana wallet address
+                      {sendMode === 'sol'
+                        ? 'Send SOL to another Solana wallet address'
+                        : 'Send tokens to another Solana wallet address'}
                     </DialogDescription>
                   </DialogHeader>
                   <div className="space-y-4 p-4">
                     {dialogError && (
                       <p className="text-red-500 text-sm">{dialogError}</p>
                     )}
+                    <div className="flex gap-2">
+                      <Input
+                        value={paymentLink}
+                        onChange={(e) => setPaymentLink(e.target.value.trim())}
+                        placeholder="Paste a Solana Pay link (solana:...)"
+                        className="h-9 text-sm border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                      />
+                      <Button
+                        onClick={handleLoadPaymentLink}
+                        disabled={!paymentLink}
+                        variant="outline"
+                        className="h-9 text-indigo-700"
+                      >
+                        Load
+                      </Button>
+                    </div>
+                    {payment && (payment.label || payment.message || payment.memo) && (
+                      <div className="bg-indigo-50 p-3 rounded-md text-sm space-y-1">
+                        {payment.label && <p className="font-medium text-indigo-700">{payment.label}</p>}
+                        {payment.message && <p className="text-gray-600">{payment.message}</p>}
+                        {payment.memo && <p className="text-xs text-gray-500">Memo: {payment.memo}</p>}
+                      </div>
+                    )}
+                    <div className="grid grid-cols-2 gap-2">
+                      <Button
+                        variant={sendMode === 'sol' ? 'default' : 'outline'}
+                        onClick={() => setSendMode('sol')}
+                        className={sendMode === 'sol' ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+                      >
+                        SOL
+                      </Button>
+                      <Button
+                        variant={sendMode === 'token' ? 'default' : 'outline'}
+                        onClick={() => setSendMode('token')}
+                        disabled={!mint}
+                        className={sendMode === 'token' ? 'bg-indigo-600 hover:bg-indigo-700 text-white' : 'text-indigo-700'}
+                      >
+                        Token
+                      </Button>
+                    </div>
+                    <RecipientInput
+                      value={recipientAddress}
+                      onChange={setRecipientAddress}
+                      sender={publicKey}
+                      mode={sendMode}
+                      onCheck={setRecipientCheck}
+                      cluster={cluster}
+                    />
                     <div>
-                      <Label className="text-sm text-indigo-700">Recipient Address</Label>
+                      <Label className="text-sm text-indigo-700">
+                        {sendMode === 'sol' ? 'Amount (SOL)' : 'Amount (tokens)'}
+                      </Label>
                       <Input
-                        value={recipientAddress}
-                        onChange={(e) => setRecipientAddress(e.target.value)}
-                        placeholder="Enter recipient address"
+                        inputMode="decimal"
+                        value={sendAmount}
+                        onChange={(e) => setSendAmount(e.target.value.trim())}
+                        placeholder={sendMode === 'sol' ? `Available: ${solBalance.toFixed(4)} SOL` : 'Enter amount'}
                         className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
                       />
                     </div>
-                    <Button
-                      onClick={async () => {
-                        const result = await handleSendTokens();
-                        if (result) {
-                          setRecipientAddress('');
-                          setDialogError('');
-                        }
-                      }}
-                      disabled={!publicKey || !recipientAddress || isLoading}
-                      className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
-                    >
-                      {isLoading ? 'Sending...' : 'Send 50 Tokens'}
-                    </Button>
+                    {sendReview && <SimulationPreview preview={sendReview.preview} />}
+                    {sendReview && <CostEstimate estimate={sendReview} />}
+                    {sendReview ? (
+                      <Button
+                        onClick={async () => {
+                          const result = await (sendMode === 'sol' ? handleSendSol() : handleSendTokens()).catch(() => null);
+                          if (result) {
+                            setRecipientAddress('');
+                            setDialogError('');
+                          }
+                        }}
+                        disabled={isLoading || sendReview.shortfall > 0n || !sendReview.preview.success}
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                      >
+                        {isLoading ? 'Sending...' : `Confirm & Send ${sendAmount} ${sendMode === 'sol' ? 'SOL' : 'Tokens'}`}
+                      </Button>
+                    ) : (
+                      <Button
+                        onClick={() => handleEstimate(sendKey, () => (sendMode === 'sol'
+                          ? estimateSendSol(provider, recipientAddress, sendAmount, payment)
+                          : estimateSendTokens(provider, mint, tokenAccount, recipientAddress, sendAmount, payment))).catch(() => null)}
+                        disabled={!publicKey || !recipientAddress || recipientBlocked || !sendAmount || isLoading}
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                      >
+                        {isLoading ? 'Estimating...' : 'Review Transaction'}
+                      </Button>
+                    )}
                   </div>
                 </DialogContent>
               </Dialog>
+              <ReceiveDialog
+                publicKey={publicKey}
+                mint={mint}
+                tokenUnit={tokenUnit}
+                cluster={cluster}
+                disabled={isLoading}
+              />
             </div>
 
             <div className="grid grid-cols-2 gap-3">
-              <Button
-                onClick={handleCreateToken}
-                disabled={!publicKey || isLoading}
-                variant="secondary"
-                className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
-              >
-                {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <PlusCircle className="mr-2" />}
-                {isLoading ? 'Creating Token...' : 'Create Token'}
-              </Button>
-              <Button
-                onClick={handleMintTokens}
-                disabled={!publicKey || !mint || isLoading}
-                variant="secondary"
-                className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
-              >
-                {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <Coins className="mr-2" />}
-                {isLoading ? 'Minting Tokens...' : 'Mint Tokens'}
-              </Button>
+              <CreateTokenDialog
+                publicKey={publicKey}
+                estimate={costEstimate}
+                onEstimate={(key, options) => handleEstimate(key, () => estimateCreateToken(provider, options))}
+                onCreate={handleCreateToken}
+                isLoading={isLoading}
+                error={dialogError}
+              />
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button
+                    disabled={!publicKey || !mint || isLoading}
+                    variant="secondary"
+                    className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+                  >
+                    {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <Coins className="mr-2" />}
+                    {isLoading ? 'Minting Tokens...' : 'Mint Tokens'}
+                  </Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+                  <DialogHeader className="space-y-2">
+                    <DialogTitle className="text-2xl font-bold text-indigo-800">Mint Tokens</DialogTitle>
+                    <DialogDescription className="text-gray-600">
+                      Mint new tokens to your token account
+                    </DialogDescription>
+                  </DialogHeader>
+                  <div className="space-y-4 p-4">
+                    {dialogError && (
+                      <p className="text-red-500 text-sm">{dialogError}</p>
+                    )}
+                    <div>
+                      <Label className="text-sm text-indigo-700">Amount (tokens)</Label>
+                      <Input
+                        inputMode="decimal"
+                        value={mintAmount}
+                        onChange={(e) => setMintAmount(e.target.value.trim())}
+                        placeholder="Enter amount"
+                        className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                      />
+                    </div>
+                    {mintReview && <SimulationPreview preview={mintReview.preview} />}
+                    {mintReview && <CostEstimate estimate={mintReview} />}
+                    {mintReview ? (
+                      <Button
+                        onClick={() => handleMintTokens().catch(() => null)}
+                        disabled={isLoading || mintReview.shortfall > 0n || !mintReview.preview.success}
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                      >
+                        {isLoading ? 'Minting...' : `Confirm & Mint ${mintAmount} Tokens`}
+                      </Button>
+                    ) : (
+                      <Button
+                        onClick={() => handleEstimate(mintKey, () => estimateMintTokens(provider, mint, tokenAccount, mintAmount))
+                          .catch(() => null)}
+                        disabled={!publicKey || !mint || !mintAmount || isLoading}
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+                      >
+                        {isLoading ? 'Estimating...' : 'Review Transaction'}
+                      </Button>
+                    )}
+                  </div>
+                </DialogContent>
+              </Dialog>
             </div>
 
             <div className="grid grid-cols-2 gap-3">
-              <Button
-                onClick={handleCheckBalance}
-                disabled={!publicKey || isLoading}
-                variant="outline"
-                className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
-              >
-                {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <RefreshCcw className="mr-2" />}
-                {isLoading ? 'Checking Balance...' : 'Check Balance'}
-              </Button>
               <Dialog>
                 <DialogTrigger asChild>
                   <Button
-                    variant="outline"
-                    disabled={!publicKey || isLoading}
-                    onClick={handleTransactionHistory}
+                    disabled={!publicKey || !activeEntry || isLoading}
+                    variant="secondary"
                     className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
                   >
-                    {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <ReceiptText className="mr-2" />}
-                    {isLoading ? 'Loading Transactions...' : 'Transactions'}
+                    <Flame className="mr-2" /> Burn Tokens
                   </Button>
                 </DialogTrigger>
-                <DialogContent className="max-h-[80vh] overflow-y-auto sm:max-w-lg bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+                <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
                   <DialogHeader className="space-y-2">
-                    <DialogTitle className="text-2xl font-bold text-indigo-800">Transaction History</DialogTitle>
+                    <DialogTitle className="text-2xl font-bold text-indigo-800">Burn Tokens</DialogTitle>
                     <DialogDescription className="text-gray-600">
-                      Recent transactions for your wallet
+                      Permanently remove tokens from your account and the token&apos;s supply
                     </DialogDescription>
                   </DialogHeader>
-                  <AnimatePresence>
-                    {transactionHistory.length > 0 ? (
-                      <motion.div
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        exit={{ opacity: 0 }}
-                        className="space-y-3 p-4"
+                  <div className="space-y-4 p-4">
+                    {dialogError && (
+                      <p className="text-red-500 text-sm">{dialogError}</p>
+                    )}
+                    <div>
+                      <Label className="text-sm text-indigo-700">Amount (tokens)</Label>
+                      <Input
+                        inputMode="decimal"
+                        value={burnAmount}
+                        onChange={(e) => setBurnAmount(e.target.value.trim())}
+                        placeholder={activeEntry ? `Available: ${activeEntry.uiAmountString} ${tokenUnit}` : 'Enter amount'}
+                        className="mt-1 border-indigo-200 focus:border-indigo-500 focus:ring focus:ring-indigo-200"
+                      />
+                    </div>
+                    {burnReview && <SimulationPreview preview={burnReview.preview} />}
+                    {burnReview && <CostEstimate estimate={burnReview} />}
+                    {burnReview ? (
+                      <Button
+                        onClick={() => handleBurnTokens().catch(() => null)}
+                        disabled={isLoading || burnReview.shortfall > 0n || !burnReview.preview.success}
+                        className="w-full bg-red-600 hover:bg-red-700 transition-colors text-white"
                       >
-                        {transactionHistory.map((tx, index) => (
-                          <motion.div
-                            key={index}
-                            className="bg-indigo-50 p-3 rounded-md text-sm shadow-sm"
-                            initial={{ opacity: 0, y: 10 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            transition={{ delay: index * 0.1 }}
-                          >
-                            <p className="font-mono text-indigo-700">{tx.signature.slice(0, 12)}...</p>
-                            <p className="text-gray-500">{tx.date}</p>
-                          </motion.div>
-                        ))}
-                      </motion.div>
+                        {isLoading ? 'Burning...' : `Confirm & Burn ${burnAmount} ${tokenUnit}`}
+                      </Button>
                     ) : (
-                      <motion.p
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        className="text-center text-gray-500 p-4"
+                      <Button
+                        onClick={() => handleEstimate(burnKey, () => estimateBurnTokens(provider, mint, tokenAccount, burnAmount))
+                          .catch(() => null)}
+                        disabled={!publicKey || !activeEntry || !burnAmount || isLoading}
+                        className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
                       >
-                        No transactions found
-                      </motion.p>
+                        {isLoading ? 'Estimating...' : 'Review Transaction'}
+                      </Button>
                     )}
-                  </AnimatePresence>
+                  </div>
                 </DialogContent>
               </Dialog>
+              <CleanupAccountsDialog
+                provider={provider}
+                publicKey={publicKey}
+                activeTokenAccount={tokenAccount}
+                disabled={isLoading}
+                onComplete={() => loadPortfolio(publicKey)}
+              />
             </div>
 
+            <div className="grid grid-cols-2 gap-3">
+              <MultisigDialog
+                provider={provider}
+                publicKey={publicKey}
+                mint={mint}
+                disabled={isLoading}
+                onComplete={() => loadPortfolio(publicKey)}
+              />
+              <AddressBookDialog cluster={cluster} />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <Button
+                onClick={handleCheckBalance}
+                disabled={!publicKey || isLoading}
+                variant="outline"
+                className="w-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100 transition-colors"
+              >
+                {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <RefreshCcw className="mr-2" />}
+                {isLoading ? 'Checking Balance...' : 'Check Balance'}
+              </Button>
+              <div className="flex gap-2">
+                <TransactionHistoryDialog
+                  publicKey={publicKey}
+                  cluster={cluster}
+                  activity={activity}
+                  disabled={isLoading}
+                />
+                <ExportHistoryDialog
+                  publicKey={publicKey}
+                  cluster={cluster}
+                  disabled={isLoading}
+                />
+              </div>
+            </div>
+
+            <TransactionTracker cluster={cluster} />
+
             <AnimatePresence>
               {status !== 'Idle' && (
                 <motion.div
@@ -0,0 +1,61 @@
+/**
+ * @component WalletPicker
+ * @description A dialog listing every detected Wallet Standard wallet so the user can choose which one to connect.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Wallet, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+  DialogDescription
+} from '@/components/ui/dialog';
+
+export default function WalletPicker({ wallets, onSelect, isLoading }) {
+  const [open, setOpen] = useState(false);
+
+  const handleSelect = (wallet) => {
+    setOpen(false);
+    onSelect(wallet);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button
+          className="w-full bg-indigo-600 hover:bg-indigo-700 transition-colors text-white"
+          disabled={isLoading}
+        >
+          {isLoading ? <Loader2 className="mr-2 animate-spin" /> : <Wallet className="mr-2" />}
+          {isLoading ? 'Connecting...' : 'Connect'}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md bg-white rounded-xl shadow-2xl border-2 border-indigo-100">
+        <DialogHeader className="space-y-2">
+          <DialogTitle className="text-2xl font-bold text-indigo-800">Select Wallet</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Wallets detected in this browser
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 p-4">
+          {wallets.map((wallet) => (
+            <button
+              key={wallet.name}
+              onClick={() => handleSelect(wallet)}
+              className="w-full flex items-center gap-3 bg-indigo-50 hover:bg-indigo-100 transition-colors p-3 rounded-md text-left"
+            >
+              {wallet.icon && <img src={wallet.icon} alt="" className="w-6 h-6 rounded" />}
+              <span className="font-medium text-indigo-800">{wallet.name}</span>
+            </button>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,149 @@
+/**
+ * @module addressBook
+ * @description Saved recipient addresses with a label and an optional note, per cluster, across page reloads.
+ * Addresses the user has sent to are remembered as well, so a first-time recipient can be told apart from a known
+ * one. Everything is kept in localStorage.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getClusterKey } from './connection.js';
+
+const STORAGE_KEY = 'solana_wallet.addressBook';
+const MAX_RECENT_RECIPIENTS = 100;
+
+/**
+ * Reads the whole address book from localStorage.
+ * @returns {Object<string, {contacts: Array<Object>, recipients: Array<string>}>} The address book, by cluster
+ */
+function readBook() {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Failed to read address book:', error);
+    return {};
+  }
+}
+
+/**
+ * Returns the address book of the active cluster.
+ * @returns {{contacts: Array<Object>, recipients: Array<string>}} The contacts and the addresses sent to
+ */
+function readEntry() {
+  return readBook()[getClusterKey()] || { contacts: [], recipients: [] };
+}
+
+/**
+ * Updates the address book of the active cluster.
+ * @param {Function} update - Receives the current entry and returns the new one
+ * @returns {{contacts: Array<Object>, recipients: Array<string>}} The new entry
+ */
+function updateEntry(update) {
+  const book = readBook();
+  const key = getClusterKey();
+  book[key] = update(book[key] || { contacts: [], recipients: [] });
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(book));
+  return book[key];
+}
+
+const byLabel = (a, b) => a.label.localeCompare(b.label);
+
+/**
+ * Lists the saved contacts on the active cluster, sorted by label.
+ * @returns {Array<{address: string, label: string, note: string, addedAt: number}>} The contacts
+ */
+export function getContacts() {
+  return [...readEntry().contacts].sort(byLabel);
+}
+
+/**
+ * Finds the saved contact for an address on the active cluster.
+ * @param {string|PublicKey} address - The address
+ * @returns {Object|null} The contact, or null if the address is not saved
+ */
+export function findContact(address) {
+  const key = address.toString();
+  return readEntry().contacts.find((contact) => contact.address === key) || null;
+}
+
+/**
+ * Finds contacts whose label, note or address contains the query, best matches first: labels that start with the
+ * query, then any other match.
+ * @param {string} query - The text typed so far
+ * @param {number} [limit=5] - The most contacts to return
+ * @returns {Array<Object>} The matching contacts
+ */
+export function searchContacts(query, limit = 5) {
+  const text = query.trim().toLowerCase();
+  if (!text) return getContacts().slice(0, limit);
+  const matches = getContacts().filter(({ address, label, note }) => [address, label, note]
+    .some((value) => value && value.toLowerCase().includes(text)));
+  const prefix = matches.filter(({ label }) => label.toLowerCase().startsWith(text));
+  return [...prefix, ...matches.filter((contact) => !prefix.includes(contact))].slice(0, limit);
+}
+
+/**
+ * Saves a contact on the active cluster, replacing the label and note of an address that is already saved.
+ * @param {Object} contact
+ * @param {string|PublicKey} contact.address - The address
+ * @param {string} contact.label - A short name for the address
+ * @param {string} [contact.note] - Anything else worth remembering about it
+ * @returns {Array<Object>} The updated contacts, sorted by label
+ * @throws {Error} If the address is invalid or the label is empty
+ */
+export function saveContact({ address, label, note = '' }) {
+  let key;
+  try {
+    key = new PublicKey(address).toBase58();
+  } catch {
+    throw new Error(`${address} is not a valid Solana address`);
+  }
+  if (!label || !label.trim()) throw new Error('Give the address a label');
+
+  const contact = { address: key, label: label.trim(), note: note.trim(), addedAt: Date.now() };
+  return updateEntry(({ contacts, recipients }) => {
+    const existing = contacts.find((entry) => entry.address === key);
+    return {
+      contacts: existing
+        ? contacts.map((entry) => (entry === existing ? { ...contact, addedAt: existing.addedAt } : entry))
+        : [...contacts, contact],
+      recipients,
+    };
+  }).contacts.sort(byLabel);
+}
+
+/**
+ * Removes a contact from the active cluster's address book.
+ * @param {string|PublicKey} address - The address
+ * @returns {Array<Object>} The updated contacts, sorted by label
+ */
+export function removeContact(address) {
+  const key = address.toString();
+  return updateEntry(({ contacts, recipients }) => ({
+    contacts: contacts.filter((contact) => contact.address !== key),
+    recipients,
+  })).contacts.sort(byLabel);
+}
+
+/**
+ * Remembers that something was sent to an address on the active cluster.
+ * @param {string|PublicKey} address - The recipient address
+ */
+export function recordRecipient(address) {
+  const key = address.toString();
+  updateEntry(({ contacts, recipients }) => ({
+    contacts,
+    recipients: [key, ...recipients.filter((recipient) => recipient !== key)].slice(0, MAX_RECENT_RECIPIENTS),
+  }));
+}
+
+/**
+ * Checks whether an address is saved or has been sent to before on the active cluster.
+ * @param {string|PublicKey} address - The address
+ * @returns {boolean} Whether the address is known
+ */
+export function isKnownRecipient(address) {
+  const key = address.toString();
+  const { contacts, recipients } = readEntry();
+  return recipients.includes(key) || contacts.some((contact) => contact.address === key);
+}
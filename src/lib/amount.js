@@ -0,0 +1,49 @@
+/**
+ * @module amount
+ * @description Converts between user-entered decimal strings and on-chain base units.
+ * Amounts are handled as strings and bigints throughout so large or fractional values never lose precision
+ * to floating point.
+ */
+
+const U64_MAX = 2n ** 64n - 1n;
+
+/**
+ * Parses a decimal string into base units for a token with the given number of decimals.
+ * @param {string|number} value - The amount, e.g. '1.5'
+ * @param {number} decimals - The token's decimals (9 for SOL)
+ * @returns {bigint} The amount in base units
+ * @throws {Error} If the value is not a plain decimal number, has too many decimal places or exceeds u64
+ */
+export function parseAmount(value, decimals) {
+  const text = String(value).trim();
+  if (!/^\d*(\.\d*)?$/.test(text) || text === '' || text === '.') {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${text} has more than ${decimals} decimal places`);
+  }
+
+  const baseUnits = BigInt((whole || '0') + fraction.padEnd(decimals, '0'));
+  if (baseUnits > U64_MAX) throw new Error(`Amount ${text} is too large`);
+  return baseUnits;
+}
+
+/**
+ * Formats base units as a decimal string, without trailing zeros.
+ * @param {bigint|string|number} baseUnits - The amount in base units
+ * @param {number} decimals - The token's decimals (9 for SOL)
+ * @returns {string} The decimal amount, e.g. '1.5'
+ */
+export function formatAmount(baseUnits, decimals) {
+  const value = BigInt(baseUnits);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString();
+  if (decimals === 0) return `${sign}${digits}`;
+
+  const padded = digits.padStart(decimals + 1, '0');
+  const whole = padded.slice(0, -decimals);
+  const fraction = padded.slice(-decimals).replace(/0+$/, '');
+  return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
@@ -1,14 +1,194 @@
 /**
  * @module connection
- * @description Establishes and exports a connection to the Solana blockchain network.
- * This module provides a configured Connection instance for interacting with the Solana devnet.
+ * @description Manages the active connection to the Solana blockchain network.
+ * This module lets the app switch between the public clusters, a local test validator or any
+ * custom RPC endpoint at runtime, and notifies subscribers whenever the active cluster changes.
  */
 
 import { Connection, clusterApiUrl } from '@solana/web3.js';
 
 /**
- * A Connection instance configured for the Solana devnet cluster.
- * Uses 'confirmed' commitment level for transaction confirmation.
- * @constant {Connection}
+ * The clusters that can be selected without providing an endpoint.
+ * `chain` is the Wallet Standard chain identifier passed to wallets when signing.
+ * `airdropLimit` is the most SOL the cluster's faucet hands out per request; clusters without a faucet have none.
+ * @constant {Object<string, {name: string, label: string, endpoint: string, wsEndpoint?: string, chain: string,
+ * airdropLimit?: number}>}
  */
-export const connection = new Connection(clusterApiUrl('devnet'), 'confirmed');
\ No newline at end of file
+export const CLUSTERS = {
+  devnet: {
+    name: 'devnet',
+    label: 'Devnet',
+    endpoint: clusterApiUrl('devnet'),
+    chain: 'solana:devnet',
+    airdropLimit: 2,
+  },
+  testnet: {
+    name: 'testnet',
+    label: 'Testnet',
+    endpoint: clusterApiUrl('testnet'),
+    chain: 'solana:testnet',
+    airdropLimit: 1,
+  },
+  'mainnet-beta': {
+    name: 'mainnet-beta',
+    label: 'Mainnet Beta',
+    endpoint: clusterApiUrl('mainnet-beta'),
+    chain: 'solana:mainnet',
+  },
+  localnet: {
+    name: 'localnet',
+    label: 'Localnet',
+    endpoint: 'http://127.0.0.1:8899',
+    wsEndpoint: 'ws://127.0.0.1:8900',
+    chain: 'solana:localnet',
+    airdropLimit: 100,
+  },
+};
+
+/**
+ * The commitment levels that can be selected for the connection.
+ * @constant {Array<string>}
+ */
+export const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+const STORAGE_KEY = 'solana_wallet.cluster';
+
+let activeCluster = resolveCluster({
+  name: process.env.NEXT_PUBLIC_SOLANA_CLUSTER || (process.env.NEXT_PUBLIC_SOLANA_RPC_URL ? 'custom' : 'devnet'),
+  endpoint: process.env.NEXT_PUBLIC_SOLANA_RPC_URL,
+  wsEndpoint: process.env.NEXT_PUBLIC_SOLANA_WS_URL,
+  commitment: process.env.NEXT_PUBLIC_SOLANA_COMMITMENT,
+});
+let activeConnection = createConnection(activeCluster);
+const listeners = new Set();
+
+/**
+ * Validates a cluster selection and fills in the endpoint of a named cluster.
+ * @param {Object} selection - The requested cluster
+ * @param {string} selection.name - One of the CLUSTERS keys, or 'custom'
+ * @param {string} [selection.endpoint] - The HTTP RPC URL, required for 'custom'
+ * @param {string} [selection.wsEndpoint] - The WebSocket URL, derived from the endpoint when omitted
+ * @param {string} [selection.commitment] - The commitment level, 'confirmed' when omitted
+ * @returns {{name: string, label: string, endpoint: string, wsEndpoint?: string, chain?: string,
+ * airdropLimit?: number, commitment: string}} The resolved cluster
+ * @throws {Error} If the cluster name, endpoint or commitment is invalid
+ */
+function resolveCluster({ name, endpoint, wsEndpoint, commitment }) {
+  const resolvedCommitment = commitment || 'confirmed';
+  if (!COMMITMENTS.includes(resolvedCommitment)) throw new Error(`Unknown commitment: ${resolvedCommitment}`);
+
+  if (name !== 'custom') {
+    const cluster = CLUSTERS[name];
+    if (!cluster) throw new Error(`Unknown cluster: ${name}`);
+    return { ...cluster, commitment: resolvedCommitment };
+  }
+
+  if (!endpoint || !/^https?:\/\//.test(endpoint)) throw new Error('Custom RPC URL must start with http:// or https://');
+  if (wsEndpoint && !/^wss?:\/\//.test(wsEndpoint)) throw new Error('Custom WebSocket URL must start with ws:// or wss://');
+  return {
+    name: 'custom',
+    label: 'Custom',
+    endpoint,
+    wsEndpoint: wsEndpoint || undefined,
+    chain: undefined,
+    commitment: resolvedCommitment,
+  };
+}
+
+/**
+ * Creates a Connection instance for a resolved cluster.
+ * @param {Object} cluster - The resolved cluster
+ * @returns {Connection} The connection
+ */
+function createConnection(cluster) {
+  return new Connection(cluster.endpoint, {
+    commitment: cluster.commitment,
+    wsEndpoint: cluster.wsEndpoint,
+  });
+}
+
+/**
+ * Returns the Connection for the active cluster.
+ * Callers should fetch it on every use rather than caching it, as it is replaced on cluster switch.
+ * @returns {Connection} The active connection
+ */
+export function getConnection() {
+  return activeConnection;
+}
+
+/**
+ * Returns a key identifying the active cluster, for scoping data saved per cluster.
+ * Custom clusters are keyed by endpoint so two custom RPCs never share entries.
+ * @returns {string} The cluster key
+ */
+export function getClusterKey() {
+  const { name, endpoint } = activeCluster;
+  return name === 'custom' ? `custom:${endpoint}` : name;
+}
+
+/**
+ * Returns the WebSocket URL the active connection subscribes through.
+ * Without an explicit URL it is derived from the RPC URL the same way web3.js does: ws(s) instead of http(s), and
+ * the next port up when a port is given.
+ * @returns {string} The WebSocket URL
+ */
+export function getWebSocketEndpoint() {
+  if (activeCluster.wsEndpoint) return activeCluster.wsEndpoint;
+  const url = new URL(activeCluster.endpoint);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  if (url.port) url.port = String(Number(url.port) + 1);
+  return url.toString();
+}
+
+/**
+ * Returns the active cluster.
+ * @returns {{name: string, label: string, endpoint: string, wsEndpoint?: string, chain?: string, commitment: string}} The active cluster
+ */
+export function getCluster() {
+  return activeCluster;
+}
+
+/**
+ * Switches the active cluster, persists the choice and notifies subscribers.
+ * @param {Object} selection - The requested cluster, see resolveCluster
+ * @returns {Object} The new active cluster
+ * @throws {Error} If the selection is invalid
+ */
+export function setCluster(selection) {
+  activeCluster = resolveCluster(selection);
+  activeConnection = createConnection(activeCluster);
+
+  if (typeof window !== 'undefined') {
+    const { name, endpoint, wsEndpoint, commitment } = activeCluster;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ name, endpoint, wsEndpoint, commitment }));
+  }
+
+  listeners.forEach((listener) => listener(activeCluster));
+  return activeCluster;
+}
+
+/**
+ * Restores the cluster persisted by a previous setCluster call.
+ * Invalid or missing entries are ignored and the default cluster stays active.
+ * @returns {Object} The active cluster
+ */
+export function restoreCluster() {
+  if (typeof window === 'undefined') return activeCluster;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) return setCluster(stored);
+  } catch (error) {
+    console.error('Failed to restore cluster:', error);
+  }
+  return activeCluster;
+}
+
+/**
+ * Subscribes to active cluster changes.
+ * @param {Function} listener - Called with the new active cluster
+ * @returns {Function} Unsubscribe function
+ */
+export function onClusterChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,289 @@
+/**
+ * @module distribution
+ * @description Sends a token to many recipients at once.
+ * Recipients are read from CSV or pasted lines of address and amount, and every row is validated before anything is
+ * signed. Each transfer creates the recipient's associated token account when it is missing, and the transfers are
+ * packed into as few transactions as fit the packet size limit. The wallet signs all of them in one request, every
+ * row reports its own outcome, and the rows that failed can be planned and sent again.
+ */
+
+import {
+  ExtensionType,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAccount,
+  getAssociatedTokenAddressSync
+} from '@solana/spl-token';
+import { ComputeBudgetProgram, PACKET_DATA_SIZE, PublicKey, Transaction } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+import { formatAmount, parseAmount } from './amount.js';
+import { getMintInfo, getTokenAccountRent } from './token.js';
+import { buildTransaction } from './transaction.js';
+import { previewTransaction } from './simulation.js';
+import { trackTransaction } from './transactionManager.js';
+
+/**
+ * The states a recipient row moves through, with their display labels.
+ */
+export const ROW_STATUSES = {
+  invalid: 'Invalid',
+  ready: 'Ready',
+  sending: 'Sending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+};
+
+// getMultipleAccountsInfo accepts at most 100 addresses per request
+const ACCOUNT_BATCH_SIZE = 100;
+
+const isAddress = (value) => {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Parses recipients from CSV or pasted lines.
+ * Each line holds a wallet address and an amount separated by a comma, semicolon, tab or spaces. Blank lines,
+ * lines starting with # and a header row are skipped.
+ * @param {string} text - The CSV file contents or pasted lines
+ * @returns {Array<{line: number, address: string, amount: string}>} The rows, with their line numbers in the input
+ */
+export function parseRecipients(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content: content.trim() }))
+    .filter(({ content }) => content && !content.startsWith('#'))
+    .map(({ line, content }) => {
+      const [address = '', amount = ''] = content
+        .split(/\s*[,;\t]\s*|\s+/)
+        .map((field) => field.replace(/^"(.*)"$/, '$1').trim());
+      return { line, address, amount };
+    });
+
+  // A header row has neither an address nor an amount
+  if (rows.length && !isAddress(rows[0].address) && !/^[\d.]+$/.test(rows[0].amount)) rows.shift();
+  return rows;
+}
+
+/**
+ * Validates every row against the mint and the sending wallet.
+ * @param {Array<{line: number, address: string, amount: string}>} rows - The parsed rows
+ * @param {number} decimals - The mint's decimals
+ * @param {PublicKey} owner - The sending wallet
+ * @returns {Array<Object>} The rows with their `recipient`, `baseUnits`, `status` and `error`
+ */
+function validateRows(rows, decimals, owner) {
+  const seen = new Map();
+  return rows.map((row) => {
+    let recipient = null;
+    let baseUnits = 0n;
+    let error = null;
+    try {
+      recipient = new PublicKey(row.address);
+    } catch {
+      error = 'Not a valid Solana address';
+    }
+    if (!error && !PublicKey.isOnCurve(recipient.toBytes())) {
+      error = 'Not a wallet address (program-derived addresses cannot own an associated token account)';
+    }
+    if (!error && recipient.equals(owner)) error = 'This is your own wallet';
+    if (!error) {
+      try {
+        baseUnits = parseAmount(row.amount, decimals);
+        if (baseUnits <= 0n) error = 'Amount must be greater than 0';
+      } catch (parseError) {
+        error = parseError.message;
+      }
+    }
+    if (!error && seen.has(recipient.toBase58())) error = `Duplicate of line ${seen.get(recipient.toBase58())}`;
+    if (!error) seen.set(recipient.toBase58(), row.line);
+    return { ...row, recipient, baseUnits, status: error ? 'invalid' : 'ready', error, signature: null };
+  });
+}
+
+/**
+ * Measures a transaction paid for by the wallet, including the compute budget buildTransaction adds.
+ * @param {PublicKey} payer - The fee payer
+ * @param {Array<TransactionInstruction>} instructions - The instructions
+ * @returns {number} The serialized size in bytes
+ */
+function getTransactionSize(payer, instructions) {
+  const message = new Transaction({ feePayer: payer, blockhash: PublicKey.default.toBase58(), lastValidBlockHeight: 0 })
+    .add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+      ...instructions
+    )
+    .compileMessage();
+  // A one-byte signature count followed by one signature per required signer
+  return 1 + message.header.numRequiredSignatures * 64 + message.serialize().length;
+}
+
+/**
+ * Validates recipient rows and packs the valid ones into transactions.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the source token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} sourceTokenAccount - The source token account
+ * @param {Array<{line: number, address: string, amount: string}>} rows - The rows from parseRecipients
+ * @returns {Promise<{rows: Array<Object>, batches: Array<{lines: Array<number>, instructions: Array<TransactionInstruction>}>,
+ * total: bigint, decimals: number, newAccounts: number, rent: bigint}>} Every row with its status and error, the
+ * transactions to send, the total amount in base units, and how many recipient token accounts will be created and
+ * their rent in lamports
+ * @throws {Error} If the token is non-transferable or the valid rows exceed the balance
+ */
+export async function planDistribution(provider, mint, sourceTokenAccount, rows) {
+  try {
+    if (!provider.isConnected) throw new Error('Wallet not connected');
+    const connection = getConnection();
+    const mintInfo = await getMintInfo(mint);
+    const { decimals, programId } = mintInfo;
+    if (mintInfo.extensions.some(({ type }) => type === ExtensionType.NonTransferable)) {
+      throw new Error('This token is non-transferable');
+    }
+
+    const checked = validateRows(rows, decimals, provider.publicKey);
+    const ready = checked.filter(({ status }) => status === 'ready');
+    const source = await getAccount(connection, sourceTokenAccount.address, undefined, programId);
+    const total = ready.reduce((sum, { baseUnits }) => sum + baseUnits, 0n);
+    if (total > source.amount) {
+      throw new Error(
+        `The recipients add up to ${formatAmount(total, decimals)} but the balance is ${formatAmount(source.amount, decimals)}`
+      );
+    }
+
+    const destinations = ready.map(({ recipient }) => getAssociatedTokenAddressSync(mint, recipient, false, programId));
+    const existing = [];
+    for (let i = 0; i < destinations.length; i += ACCOUNT_BATCH_SIZE) {
+      existing.push(...await connection.getMultipleAccountsInfo(destinations.slice(i, i + ACCOUNT_BATCH_SIZE)));
+    }
+    const newAccounts = existing.filter((account) => !account).length;
+    const accountRent = newAccounts
+      ? await getTokenAccountRent(programId, mintInfo.extensions.map(({ type }) => type))
+      : 0;
+
+    // Greedily fill each transaction until the next transfer would not fit
+    const batches = [];
+    ready.forEach((row, index) => {
+      const instructions = [
+        // Only recipients without a token account get one, matching the rent counted in newAccounts
+        ...(existing[index] ? [] : [createAssociatedTokenAccountIdempotentInstruction(
+          provider.publicKey,
+          destinations[index],
+          row.recipient,
+          mint,
+          programId
+        )]),
+        createTransferCheckedInstruction(
+          source.address,
+          mint,
+          destinations[index],
+          provider.publicKey,
+          row.baseUnits,
+          decimals,
+          [],
+          programId
+        ),
+      ];
+      const current = batches[batches.length - 1];
+      if (current && getTransactionSize(provider.publicKey, [...current.instructions, ...instructions]) <= PACKET_DATA_SIZE) {
+        current.instructions.push(...instructions);
+        current.lines.push(row.line);
+      } else {
+        batches.push({ lines: [row.line], instructions });
+      }
+    });
+
+    return {
+      rows: checked,
+      batches,
+      total,
+      decimals,
+      newAccounts,
+      rent: BigInt(accountRent) * BigInt(newAccounts),
+    };
+  } catch (error) {
+    throw new Error(`Distribution planning failed: ${error.message}`);
+  }
+}
+
+/**
+ * Sends a planned distribution.
+ * Every transaction is simulated first; the rows of one that would fail are reported without being signed. The
+ * rest are signed together with `signAllTransactions` and tracked by the transaction manager. A transaction whose
+ * blockhash expires is rebuilt and signed again when the user resends it.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the source token account
+ * @param {Object} plan - The plan from planDistribution
+ * @param {Function} [onUpdate] - Called with every row each time a row's status changes
+ * @returns {Promise<Array<Object>>} Every row with its final status, and its signature or error
+ * @throws {Error} If the transactions cannot be built or simulated
+ */
+export async function distributeTokens(provider, plan, onUpdate = () => {}) {
+  let rows = plan.rows;
+  const setStatus = (lines, changes) => {
+    rows = rows.map((row) => (lines.includes(row.line) ? { ...row, ...changes } : row));
+    onUpdate(rows);
+  };
+
+  try {
+    const built = await Promise.all(plan.batches.map(async (batch) => {
+      const { transaction, blockhash, lastValidBlockHeight, budget } = await buildTransaction(
+        provider,
+        batch.instructions
+      );
+      const preview = await previewTransaction(transaction);
+      return { ...batch, transaction, blockhash, lastValidBlockHeight, budget, preview };
+    }));
+
+    built
+      .filter(({ preview }) => !preview.success)
+      .forEach(({ lines, preview }) => setStatus(lines, { status: 'failed', error: `Simulation failed: ${preview.error}` }));
+    const sendable = built.filter(({ preview }) => preview.success);
+    if (!sendable.length) return rows;
+
+    const sendableLines = sendable.flatMap(({ lines }) => lines);
+    setStatus(sendableLines, { status: 'sending', error: null });
+    let signed;
+    try {
+      signed = await provider.signAllTransactions(sendable.map(({ transaction }) => transaction));
+    } catch (error) {
+      setStatus(sendableLines, { status: 'failed', error: `Signing failed: ${error.message}` });
+      return rows;
+    }
+
+    await Promise.all(sendable.map((batch, index) => {
+      let presigned = signed[index];
+      return trackTransaction(`Bulk send ${index + 1}/${sendable.length}`, async (annotate) => {
+        const connection = getConnection();
+        if (presigned) {
+          const transaction = presigned;
+          presigned = null;
+          const { budget } = batch;
+          annotate({ computeUnits: budget.units, microLamports: budget.microLamports, priorityFee: budget.priorityFee });
+          const signature = await connection.sendRawTransaction(transaction.serialize());
+          return { signature, blockhash: batch.blockhash, lastValidBlockHeight: batch.lastValidBlockHeight };
+        }
+
+        // Resending after the blockhash expired needs a fresh transaction and signature
+        const { transaction, blockhash, lastValidBlockHeight, budget } = await buildTransaction(
+          provider,
+          batch.instructions
+        );
+        annotate({ computeUnits: budget.units, microLamports: budget.microLamports, priorityFee: budget.priorityFee });
+        const resigned = await provider.signTransaction(transaction);
+        const signature = await connection.sendRawTransaction(resigned.serialize());
+        return { signature, blockhash, lastValidBlockHeight };
+      })
+        .then((signature) => setStatus(batch.lines, { status: 'confirmed', signature, error: null }))
+        .catch((error) => setStatus(batch.lines, { status: 'failed', error: error.message }));
+    }));
+    return rows;
+  } catch (error) {
+    throw new Error(`Distribution failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * @module history
+ * @description Turns parsed transactions into readable history entries from the point of view of one wallet:
+ * what kind of transaction it was, which way value moved, the counterparty, the amount, the fee and the outcome.
+ * Entries can be exported as CSV or JSON.
+ */
+
+import { formatAmount } from './amount.js';
+
+/**
+ * The kinds of transaction a history entry can be classified as.
+ * @constant {Object<string, string>}
+ */
+export const TRANSACTION_TYPES = {
+  'sol-transfer': 'SOL transfer',
+  'token-transfer': 'Token transfer',
+  mint: 'Mint',
+  create: 'Create',
+  other: 'Other',
+};
+
+/**
+ * Lists the parsed top-level and inner instructions of a transaction.
+ * @param {Object} transaction - A parsed transaction
+ * @returns {Array<{program: string, type: string, info: Object}>} The instructions the RPC could parse
+ */
+function getParsedInstructions(transaction) {
+  const inner = (transaction.meta.innerInstructions || [])
+    .flatMap(({ instructions }) => instructions);
+  return [...transaction.transaction.message.instructions, ...inner]
+    .filter(({ parsed }) => parsed && typeof parsed === 'object')
+    .map(({ program, parsed }) => ({ program, type: parsed.type, info: parsed.info }));
+}
+
+/**
+ * Sums the change in a wallet's token balances per mint.
+ * @param {Object} transaction - A parsed transaction
+ * @param {string} owner - The wallet address
+ * @returns {Map<string, {delta: bigint, decimals: number}>} The balance change per mint, in base units
+ */
+function getTokenDeltas(transaction, owner) {
+  const deltas = new Map();
+  const add = (balances, sign) => (balances || [])
+    .filter((balance) => balance.owner === owner)
+    .forEach(({ mint, uiTokenAmount }) => {
+      const current = deltas.get(mint) || { delta: 0n, decimals: uiTokenAmount.decimals };
+      current.delta += sign * BigInt(uiTokenAmount.amount);
+      deltas.set(mint, current);
+    });
+  add(transaction.meta.preTokenBalances, -1n);
+  add(transaction.meta.postTokenBalances, 1n);
+  return deltas;
+}
+
+/**
+ * Finds the owner of a token account from the token balances recorded in a transaction.
+ * @param {Object} transaction - A parsed transaction
+ * @param {string} address - The token account address
+ * @returns {{owner: string, mint: string, decimals: number}|null} The owner, mint and decimals, if recorded
+ */
+function getTokenAccountOwner(transaction, address) {
+  const index = transaction.transaction.message.accountKeys
+    .findIndex(({ pubkey }) => pubkey.toBase58() === address);
+  const balance = [...(transaction.meta.postTokenBalances || []), ...(transaction.meta.preTokenBalances || [])]
+    .find(({ accountIndex }) => accountIndex === index);
+  return balance ? { owner: balance.owner, mint: balance.mint, decimals: balance.uiTokenAmount.decimals } : null;
+}
+
+/**
+ * Works out the type, direction, counterparty and amount of a transaction for a wallet.
+ * @param {Object} transaction - A parsed transaction
+ * @param {string} owner - The wallet address
+ * @returns {{type: string, direction: string|null, counterparty: string|null, amount: string|null,
+ * mint: string|null}} The classification
+ */
+function classifyTransaction(transaction, owner) {
+  const instructions = getParsedInstructions(transaction);
+  const find = (programs, types) => instructions
+    .find((ix) => programs.includes(ix.program) && types.includes(ix.type));
+  const tokenProgram = (types) => find(['spl-token', 'spl-token-2022'], types);
+
+  const initializeMint = tokenProgram(['initializeMint', 'initializeMint2']);
+  if (initializeMint) {
+    return { type: 'create', direction: null, counterparty: null, amount: null, mint: initializeMint.info.mint };
+  }
+
+  const mintTo = tokenProgram(['mintTo', 'mintToChecked']);
+  if (mintTo) {
+    const { mint, account } = mintTo.info;
+    const destination = getTokenAccountOwner(transaction, account);
+    const decimals = destination ? destination.decimals : 0;
+    const amount = mintTo.info.tokenAmount ? mintTo.info.tokenAmount.amount : mintTo.info.amount;
+    const isOwn = destination && destination.owner === owner;
+    return {
+      type: 'mint',
+      direction: isOwn ? 'in' : 'out',
+      counterparty: isOwn || !destination ? null : destination.owner,
+      amount: formatAmount(amount, decimals),
+      mint,
+    };
+  }
+
+  const transfer = tokenProgram(['transfer', 'transferChecked']);
+  if (transfer) {
+    const source = getTokenAccountOwner(transaction, transfer.info.source);
+    const destination = getTokenAccountOwner(transaction, transfer.info.destination);
+    const mint = transfer.info.mint || (source && source.mint) || (destination && destination.mint) || null;
+    const change = mint && getTokenDeltas(transaction, owner).get(mint);
+    const delta = change ? change.delta : 0n;
+    const decimals = change ? change.decimals : (source || destination || { decimals: 0 }).decimals;
+    const isOwn = (account) => account && account.owner === owner;
+    let direction = null;
+    if (delta !== 0n) direction = delta > 0n ? 'in' : 'out';
+    else if (isOwn(source) && isOwn(destination)) direction = 'self';
+    const other = direction === 'in' ? source : destination;
+    const sent = transfer.info.tokenAmount ? transfer.info.tokenAmount.amount : transfer.info.amount;
+    const amount = delta === 0n ? sent : delta < 0n ? -delta : delta;
+    return {
+      type: 'token-transfer',
+      direction,
+      counterparty: other && !isOwn(other) ? other.owner : null,
+      amount: formatAmount(amount, decimals),
+      mint,
+    };
+  }
+
+  const solTransfer = instructions.find(({ program, type, info }) => program === 'system'
+    && (type === 'transfer' || type === 'transferWithSeed')
+    && (info.source === owner || info.destination === owner));
+  if (solTransfer) {
+    const { source, destination, lamports } = solTransfer.info;
+    const direction = source === destination ? 'self' : source === owner ? 'out' : 'in';
+    return {
+      type: 'sol-transfer',
+      direction,
+      counterparty: direction === 'self' ? null : direction === 'out' ? destination : source,
+      amount: formatAmount(lamports, 9),
+      mint: null,
+    };
+  }
+
+  const createAccount = find(['spl-associated-token-account'], ['create', 'createIdempotent']);
+  if (createAccount) {
+    return { type: 'create', direction: null, counterparty: null, amount: null, mint: createAccount.info.mint };
+  }
+
+  return { type: 'other', direction: null, counterparty: null, amount: null, mint: null };
+}
+
+/**
+ * Summarizes a transaction from the point of view of a wallet.
+ * When the transaction could not be fetched, the entry is built from its signature info alone and typed 'other'.
+ * @param {Object} signatureInfo - The entry returned by getSignaturesForAddress
+ * @param {Object|null} transaction - The parsed transaction, or null if it is not available
+ * @param {string} owner - The wallet address
+ * @returns {{signature: string, slot: number, blockTime: Date|null, type: string, direction: string|null,
+ * counterparty: string|null, amount: string|null, mint: string|null, fee: string|null, success: boolean,
+ * error: string|null, memo: string|null}} The history entry, with the amount in tokens or SOL and the fee in SOL
+ */
+export function summarizeTransaction(signatureInfo, transaction, owner) {
+  const { signature, slot, blockTime, err, memo } = signatureInfo;
+  const details = transaction && transaction.meta
+    ? classifyTransaction(transaction, owner)
+    : { type: 'other', direction: null, counterparty: null, amount: null, mint: null };
+  return {
+    signature,
+    slot,
+    blockTime: blockTime ? new Date(blockTime * 1000) : null,
+    ...details,
+    fee: transaction && transaction.meta ? formatAmount(transaction.meta.fee, 9) : null,
+    success: !err,
+    error: err ? JSON.stringify(err) : null,
+    // The RPC prefixes each memo with its length, e.g. "[5] hello"
+    memo: memo ? memo.replace(/\[\d+\] /g, '') : null,
+  };
+}
+
+/**
+ * The columns of an exported history, in order.
+ * @constant {Array<{header: string, value: Function}>}
+ */
+const EXPORT_COLUMNS = [
+  { header: 'signature', value: (entry) => entry.signature },
+  { header: 'time', value: (entry) => (entry.blockTime ? entry.blockTime.toISOString() : null) },
+  { header: 'slot', value: (entry) => entry.slot },
+  { header: 'type', value: (entry) => entry.type },
+  { header: 'direction', value: (entry) => entry.direction },
+  { header: 'counterparty', value: (entry) => entry.counterparty },
+  { header: 'mint', value: (entry) => entry.mint },
+  { header: 'amount', value: (entry) => entry.amount },
+  { header: 'fee', value: (entry) => entry.fee },
+  { header: 'status', value: (entry) => (entry.success ? 'success' : `failed: ${entry.error}`) },
+  { header: 'memo', value: (entry) => entry.memo },
+];
+
+/**
+ * Escapes a value for a CSV cell. Values a spreadsheet would read as a formula are prefixed with a quote.
+ * @param {*} value - The cell value
+ * @returns {string} The escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats history entries as CSV with a header row. Amounts and fees are exact decimal strings.
+ * @param {Array<Object>} entries - Entries from summarizeTransaction
+ * @returns {string} The CSV text
+ */
+export function toCsv(entries) {
+  const rows = [
+    EXPORT_COLUMNS.map(({ header }) => header),
+    ...entries.map((entry) => EXPORT_COLUMNS.map(({ value }) => value(entry))),
+  ];
+  return `${rows.map((row) => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Formats history entries as JSON, with the same fields as the CSV export.
+ * @param {Array<Object>} entries - Entries from summarizeTransaction
+ * @param {Object} [details] - Extra fields describing the export, such as the wallet and range
+ * @returns {string} The JSON text
+ */
+export function toJson(entries, details = {}) {
+  const transactions = entries.map((entry) => Object.fromEntries(
+    EXPORT_COLUMNS.map(({ header, value }) => [header, value(entry)])
+  ));
+  return JSON.stringify({ ...details, exportedAt: new Date().toISOString(), transactions }, null, 2);
+}
@@ -0,0 +1,430 @@
+/**
+ * @module metadata
+ * @description Creates, updates and reads token metadata (name, symbol and URI).
+ * Classic SPL mints use Metaplex Token Metadata accounts, whose two instructions and account layout are encoded
+ * here directly so token creation stays a plain web3.js transaction. Token-2022 mints may instead store the
+ * metadata on the mint itself through the token-metadata extension.
+ */
+
+import { Buffer } from 'buffer';
+import {
+  ExtensionType,
+  TOKEN_2022_PROGRAM_ID,
+  createUpdateFieldInstruction,
+  getExtensionData,
+  unpackMint
+} from '@solana/spl-token';
+import { Field, pack, unpack } from '@solana/spl-token-metadata';
+import { PublicKey, SystemProgram, TransactionInstruction } from '@solana/web3.js';
+import { getCluster, getConnection } from './connection.js';
+import { sendWalletTransaction } from './transaction.js';
+
+/**
+ * The Metaplex Token Metadata program.
+ * @constant {PublicKey}
+ */
+export const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+/**
+ * The size Metaplex allocates for a metadata account, enough for the longest name, symbol and URI.
+ * @constant {number}
+ */
+export const METADATA_ACCOUNT_SIZE = 679;
+
+/**
+ * The protocol fee Metaplex charges for creating a metadata account, in lamports.
+ * @constant {number}
+ */
+export const METADATA_CREATION_FEE = 10000000;
+
+const CREATE_METADATA_ACCOUNT_V3 = 33;
+const UPDATE_METADATA_ACCOUNT_V2 = 15;
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+
+const cache = new Map();
+
+/**
+ * Derives the metadata account address of a mint.
+ * @param {PublicKey} mint - The mint address
+ * @returns {PublicKey} The metadata account address
+ */
+export function getMetadataAddress(mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), TOKEN_METADATA_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+    TOKEN_METADATA_PROGRAM_ID
+  );
+  return address;
+}
+
+/**
+ * Checks name, symbol and URI against the program's length limits.
+ * @param {{name: string, symbol: string, uri: string}} data - The metadata fields
+ * @throws {Error} If a field is missing or too long
+ */
+export function validateMetadata({ name, symbol, uri = '' }) {
+  const length = (value) => Buffer.byteLength(value, 'utf8');
+  if (!name) throw new Error('Token name is required');
+  if (length(name) > MAX_NAME_LENGTH) throw new Error(`Token name must be at most ${MAX_NAME_LENGTH} bytes`);
+  if (length(symbol || '') > MAX_SYMBOL_LENGTH) throw new Error(`Token symbol must be at most ${MAX_SYMBOL_LENGTH} bytes`);
+  if (length(uri) > MAX_URI_LENGTH) throw new Error(`Token URI must be at most ${MAX_URI_LENGTH} bytes`);
+}
+
+/**
+ * Minimal borsh writer for the instruction payloads.
+ * @returns {Object} The writer
+ */
+function createWriter() {
+  const chunks = [];
+  const writer = {
+    u8(value) {
+      chunks.push(Buffer.from([value]));
+      return writer;
+    },
+    u16(value) {
+      const chunk = Buffer.alloc(2);
+      chunk.writeUInt16LE(value);
+      chunks.push(chunk);
+      return writer;
+    },
+    u32(value) {
+      const chunk = Buffer.alloc(4);
+      chunk.writeUInt32LE(value);
+      chunks.push(chunk);
+      return writer;
+    },
+    u64(value) {
+      const chunk = Buffer.alloc(8);
+      chunk.writeBigUInt64LE(BigInt(value));
+      chunks.push(chunk);
+      return writer;
+    },
+    bool(value) {
+      return writer.u8(value ? 1 : 0);
+    },
+    string(value) {
+      const bytes = Buffer.from(value, 'utf8');
+      writer.u32(bytes.length);
+      chunks.push(bytes);
+      return writer;
+    },
+    publicKey(value) {
+      chunks.push(value.toBuffer());
+      return writer;
+    },
+    option(value, write) {
+      if (value === null || value === undefined) return writer.u8(0);
+      writer.u8(1);
+      write(value);
+      return writer;
+    },
+    toBuffer() {
+      return Buffer.concat(chunks);
+    },
+  };
+  return writer;
+}
+
+/**
+ * Minimal borsh reader for the metadata account.
+ * @param {Buffer} data - The account data
+ * @returns {Object} The reader
+ */
+function createReader(data) {
+  let offset = 0;
+  const reader = {
+    u8() {
+      return data.readUInt8(offset++);
+    },
+    u16() {
+      const value = data.readUInt16LE(offset);
+      offset += 2;
+      return value;
+    },
+    u64() {
+      const value = data.readBigUInt64LE(offset);
+      offset += 8;
+      return value;
+    },
+    bool() {
+      return reader.u8() === 1;
+    },
+    string() {
+      const length = data.readUInt32LE(offset);
+      offset += 4;
+      const value = data.subarray(offset, offset + length).toString('utf8');
+      offset += length;
+      return value.replace(/\0+$/, '');
+    },
+    publicKey() {
+      const value = new PublicKey(data.subarray(offset, offset + 32));
+      offset += 32;
+      return value;
+    },
+    option(read) {
+      return reader.u8() === 1 ? read() : null;
+    },
+    vec(read) {
+      const length = data.readUInt32LE(offset);
+      offset += 4;
+      return Array.from({ length }, read);
+    },
+  };
+  return reader;
+}
+
+/**
+ * Writes a DataV2 struct.
+ * @param {Object} writer - The borsh writer
+ * @param {Object} data - The metadata fields, with optional creators, collection and uses carried over
+ */
+function writeDataV2(writer, { name, symbol, uri, sellerFeeBasisPoints = 0, creators = null, collection = null, uses = null }) {
+  writer.string(name).string(symbol || '').string(uri || '').u16(sellerFeeBasisPoints);
+  writer.option(creators, (list) => {
+    writer.u32(list.length);
+    list.forEach((creator) => writer.publicKey(creator.address).bool(creator.verified).u8(creator.share));
+  });
+  writer.option(collection, (value) => writer.bool(value.verified).publicKey(value.key));
+  writer.option(uses, (value) => writer.u8(value.useMethod).u64(value.remaining).u64(value.total));
+}
+
+/**
+ * Builds a CreateMetadataAccountV3 instruction.
+ * @param {Object} params
+ * @param {PublicKey} params.mint - The mint address
+ * @param {PublicKey} params.mintAuthority - The current mint authority, which must sign
+ * @param {PublicKey} params.payer - The account paying rent for the metadata account
+ * @param {PublicKey} params.updateAuthority - The account allowed to edit the metadata later
+ * @param {string} params.name - The token name
+ * @param {string} params.symbol - The token symbol
+ * @param {string} [params.uri] - The URI of the off-chain JSON metadata
+ * @param {boolean} [params.isMutable=true] - Whether the metadata can be edited later
+ * @returns {TransactionInstruction} The instruction
+ * @throws {Error} If a field is missing or too long
+ */
+export function createMetadataInstruction({ mint, mintAuthority, payer, updateAuthority, name, symbol, uri, isMutable = true }) {
+  validateMetadata({ name, symbol, uri });
+  const writer = createWriter().u8(CREATE_METADATA_ACCOUNT_V3);
+  writeDataV2(writer, { name, symbol, uri });
+  writer.bool(isMutable).option(null);
+
+  return new TransactionInstruction({
+    programId: TOKEN_METADATA_PROGRAM_ID,
+    keys: [
+      { pubkey: getMetadataAddress(mint), isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: mintAuthority, isSigner: true, isWritable: false },
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: updateAuthority, isSigner: updateAuthority.equals(payer), isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+    ],
+    data: writer.toBuffer(),
+  });
+}
+
+/**
+ * Builds an UpdateMetadataAccountV2 instruction that replaces name, symbol and URI.
+ * Royalties, creators, collection and uses are carried over from the current metadata.
+ * @param {Object} current - The current metadata, as returned by fetchTokenMetadata
+ * @param {{name: string, symbol: string, uri: string}} data - The new fields
+ * @returns {TransactionInstruction} The instruction
+ * @throws {Error} If a field is missing or too long
+ */
+export function updateMetadataInstruction(current, data) {
+  validateMetadata(data);
+  const writer = createWriter().u8(UPDATE_METADATA_ACCOUNT_V2);
+  writer.option({ ...current, ...data }, (value) => writeDataV2(writer, value));
+  writer.option(null).option(null).option(null);
+
+  return new TransactionInstruction({
+    programId: TOKEN_METADATA_PROGRAM_ID,
+    keys: [
+      { pubkey: current.address, isSigner: false, isWritable: true },
+      { pubkey: current.updateAuthority, isSigner: true, isWritable: false },
+    ],
+    data: writer.toBuffer(),
+  });
+}
+
+/**
+ * Decodes a Metaplex metadata account.
+ * @param {PublicKey} address - The metadata account address
+ * @param {Buffer} data - The account data
+ * @returns {Object} The decoded metadata
+ */
+function decodeMetadata(address, data) {
+  const reader = createReader(Buffer.from(data));
+  reader.u8(); // Account key
+  const updateAuthority = reader.publicKey();
+  const mint = reader.publicKey();
+  const name = reader.string();
+  const symbol = reader.string();
+  const uri = reader.string();
+  const sellerFeeBasisPoints = reader.u16();
+  const creators = reader.option(() => reader.vec(() => ({
+    address: reader.publicKey(),
+    verified: reader.bool(),
+    share: reader.u8(),
+  })));
+  const primarySaleHappened = reader.bool();
+  const isMutable = reader.bool();
+  reader.option(reader.u8); // Edition nonce
+  reader.option(reader.u8); // Token standard
+  const collection = reader.option(() => ({ verified: reader.bool(), key: reader.publicKey() }));
+  const uses = reader.option(() => ({ useMethod: reader.u8(), remaining: reader.u64(), total: reader.u64() }));
+
+  return {
+    standard: 'metaplex',
+    address,
+    mint,
+    updateAuthority,
+    name,
+    symbol,
+    uri,
+    sellerFeeBasisPoints,
+    creators,
+    primarySaleHappened,
+    isMutable,
+    collection,
+    uses,
+  };
+}
+
+/**
+ * Decodes the token-metadata extension stored on a Token-2022 mint.
+ * @param {PublicKey} mint - The mint address
+ * @param {Object} account - The mint account
+ * @returns {Object|null} The metadata, in the same shape as a Metaplex account, or null if the mint has none
+ */
+function decodeEmbeddedMetadata(mint, account) {
+  const data = getExtensionData(ExtensionType.TokenMetadata, unpackMint(mint, account, TOKEN_2022_PROGRAM_ID).tlvData);
+  if (!data) return null;
+  const { updateAuthority, name, symbol, uri, additionalMetadata } = unpack(data);
+  return {
+    standard: 'token-2022',
+    address: mint,
+    mint,
+    updateAuthority: updateAuthority || null,
+    name,
+    symbol,
+    uri,
+    additionalMetadata,
+    isMutable: Boolean(updateAuthority),
+  };
+}
+
+/**
+ * Reads the metadata of a mint on the active cluster, from its Metaplex account or, for Token-2022 mints,
+ * from the mint itself. Results are cached per cluster, including mints without metadata.
+ * @async
+ * @param {string|PublicKey} mint - The mint address
+ * @returns {Promise<Object|null>} The metadata, or null if the mint has none
+ * @throws {Error} If the metadata fetch fails
+ */
+export async function fetchTokenMetadata(mint) {
+  const mintKey = new PublicKey(mint);
+  const cacheKey = `${getCluster().endpoint}:${mintKey.toBase58()}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  try {
+    const address = getMetadataAddress(mintKey);
+    const [metadataAccount, mintAccount] = await getConnection().getMultipleAccountsInfo([address, mintKey]);
+    let metadata = null;
+    if (metadataAccount && metadataAccount.owner.equals(TOKEN_METADATA_PROGRAM_ID)) {
+      metadata = decodeMetadata(address, metadataAccount.data);
+    } else if (mintAccount && mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      metadata = decodeEmbeddedMetadata(mintKey, mintAccount);
+    }
+    cache.set(cacheKey, metadata);
+    return metadata;
+  } catch (error) {
+    throw new Error(`Failed to fetch token metadata: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the instructions that replace the changed fields of Token-2022 embedded metadata.
+ * The mint account grows when a field gets longer, so the extra rent is transferred to it first.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must be the update authority
+ * @param {Object} current - The current metadata, as returned by fetchTokenMetadata
+ * @param {{name: string, symbol: string, uri: string}} data - The new fields
+ * @returns {Promise<Array<TransactionInstruction>>} The instructions, empty if nothing changed
+ */
+async function updateEmbeddedMetadataInstructions(provider, current, data) {
+  const connection = getConnection();
+  const fields = [[Field.Name, 'name'], [Field.Symbol, 'symbol'], [Field.Uri, 'uri']]
+    .filter(([, key]) => data[key] !== undefined && data[key] !== current[key]);
+  if (!fields.length) return [];
+
+  const packed = (metadata) => pack({
+    updateAuthority: metadata.updateAuthority,
+    mint: metadata.mint,
+    name: metadata.name,
+    symbol: metadata.symbol,
+    uri: metadata.uri,
+    additionalMetadata: metadata.additionalMetadata,
+  }).length;
+  const account = await connection.getAccountInfo(current.mint);
+  const growth = packed({ ...current, ...data }) - packed(current);
+  const required = await connection.getMinimumBalanceForRentExemption(account.data.length + Math.max(growth, 0));
+
+  const instructions = [];
+  if (required > account.lamports) {
+    instructions.push(SystemProgram.transfer({
+      fromPubkey: provider.publicKey,
+      toPubkey: current.mint,
+      lamports: required - account.lamports,
+    }));
+  }
+  fields.forEach(([field, key]) => instructions.push(createUpdateFieldInstruction({
+    programId: TOKEN_2022_PROGRAM_ID,
+    metadata: current.mint,
+    updateAuthority: provider.publicKey,
+    field,
+    value: data[key],
+  })));
+  return instructions;
+}
+
+/**
+ * Replaces the name, symbol and URI of a mint's metadata. The wallet must be the update authority.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {string|PublicKey} mint - The mint address
+ * @param {{name: string, symbol: string, uri: string}} data - The new fields
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the mint has no metadata, the wallet is not the update authority, or the update fails
+ */
+export async function updateTokenMetadata(provider, mint, data) {
+  try {
+    const current = await fetchTokenMetadata(mint);
+    if (!current) throw new Error('This token has no metadata');
+    if (!current.isMutable) throw new Error('This token\'s metadata is immutable');
+    if (!current.updateAuthority.equals(provider.publicKey)) {
+      throw new Error('Only the update authority can edit this token\'s metadata');
+    }
+
+    const instructions = current.standard === 'token-2022'
+      ? await updateEmbeddedMetadataInstructions(provider, current, data)
+      : [updateMetadataInstruction(current, data)];
+    if (!instructions.length) throw new Error('Nothing to update');
+    const signature = await sendWalletTransaction(provider, instructions, [], { label: 'Update metadata' });
+    cache.delete(`${getCluster().endpoint}:${new PublicKey(mint).toBase58()}`);
+    return signature;
+  } catch (error) {
+    throw new Error(`Metadata update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Formats a human-readable label for a mint, e.g. 'Test Token (TEST)' or 'AbCdEf123456...'.
+ * @param {string|PublicKey} mint - The mint address
+ * @param {Object|null} [metadata] - The mint's metadata, if known
+ * @returns {string} The label
+ */
+export function formatMintLabel(mint, metadata) {
+  if (metadata && metadata.name) return metadata.symbol ? `${metadata.name} (${metadata.symbol})` : metadata.name;
+  return `${mint.toString().slice(0, 12)}...`;
+}
@@ -0,0 +1,427 @@
+/**
+ * @module multisig
+ * @description SPL Token multisig accounts (M-of-N signers) and the transactions they authorize.
+ * A multisig can hold a mint's mint or freeze authority, or own token accounts. A mint or transfer it authorizes is
+ * proposed as a transaction that uses a durable nonce instead of a recent blockhash, so it stays valid while it is
+ * passed between signers as base64 text. Each signer loads it, checks what it does, partially signs it in their own
+ * wallet and passes it on; once every required signature is present anyone can submit it. The proposer closes the
+ * nonce account afterwards to get its rent back, which also cancels a proposal that was never submitted.
+ */
+
+import { Buffer } from 'buffer';
+import {
+  MULTISIG_SIZE,
+  TokenInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createInitializeMultisigInstruction,
+  createMintToCheckedInstruction,
+  createTransferCheckedInstruction,
+  decodeMintToCheckedInstruction,
+  decodeTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+  unpackMultisig
+} from '@solana/spl-token';
+import {
+  Keypair,
+  NONCE_ACCOUNT_LENGTH,
+  NonceAccount,
+  PublicKey,
+  SystemInstruction,
+  SystemProgram,
+  Transaction
+} from '@solana/web3.js';
+import { getConnection } from './connection.js';
+import { parseAmount } from './amount.js';
+import { getComputeBudget } from './priorityFee.js';
+import { previewTransaction } from './simulation.js';
+import { sendWalletTransaction } from './transaction.js';
+import { trackTransaction } from './transactionManager.js';
+import { TOKEN_PROGRAMS, getMintInfo } from './token.js';
+
+/**
+ * The most signers an SPL Token multisig can have.
+ * @constant {number}
+ */
+export const MAX_MULTISIG_SIGNERS = 11;
+
+/**
+ * The actions a multisig proposal can take, with their display labels.
+ */
+export const PROPOSAL_ACTIONS = {
+  mint: 'Mint tokens',
+  transfer: 'Transfer tokens',
+};
+
+const toPublicKey = (value) => {
+  try {
+    return new PublicKey(value);
+  } catch {
+    throw new Error(`${value} is not a valid Solana address`);
+  }
+};
+
+/**
+ * Creates a multisig account under a token program. It can only act as an authority for mints and token accounts
+ * of the same program.
+ * @async
+ * @param {Object} provider - The wallet adapter, which pays for the account
+ * @param {Object} options
+ * @param {string} [options.program='token'] - 'token' or 'token-2022'
+ * @param {Array<string|PublicKey>} options.signers - The signer addresses, up to MAX_MULTISIG_SIGNERS
+ * @param {number} options.threshold - How many of the signers must sign
+ * @returns {Promise<{address: PublicKey, signature: string}>} The multisig address and transaction signature
+ * @throws {Error} If the signers or threshold are invalid, creation fails or wallet not connected
+ */
+export async function createMultisig(provider, { program = 'token', signers = [], threshold }) {
+  try {
+    if (!provider.isConnected) throw new Error('Wallet not connected');
+    if (!TOKEN_PROGRAMS[program]) throw new Error(`Unknown token program: ${program}`);
+    const signerKeys = signers.map(toPublicKey);
+    if (signerKeys.length < 1 || signerKeys.length > MAX_MULTISIG_SIGNERS) {
+      throw new Error(`A multisig needs from 1 to ${MAX_MULTISIG_SIGNERS} signers`);
+    }
+    if (new Set(signerKeys.map((key) => key.toBase58())).size !== signerKeys.length) {
+      throw new Error('Each signer can only be listed once');
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > signerKeys.length) {
+      throw new Error(`The threshold must be from 1 to ${signerKeys.length}`);
+    }
+
+    const { programId } = TOKEN_PROGRAMS[program];
+    const multisigKeypair = Keypair.generate();
+    const lamports = await getConnection().getMinimumBalanceForRentExemption(MULTISIG_SIZE);
+    const signature = await sendWalletTransaction(
+      provider,
+      [
+        SystemProgram.createAccount({
+          fromPubkey: provider.publicKey,
+          newAccountPubkey: multisigKeypair.publicKey,
+          space: MULTISIG_SIZE,
+          lamports,
+          programId,
+        }),
+        createInitializeMultisigInstruction(multisigKeypair.publicKey, signerKeys, threshold, programId),
+      ],
+      [multisigKeypair],
+      { label: `Create ${threshold}-of-${signerKeys.length} multisig` }
+    );
+    return { address: multisigKeypair.publicKey, signature };
+  } catch (error) {
+    throw new Error(`Multisig creation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a multisig account.
+ * @async
+ * @param {string|PublicKey} address - The multisig address
+ * @returns {Promise<{address: PublicKey, programId: PublicKey, threshold: number, signers: Array<PublicKey>}>}
+ * The multisig, the token program that owns it, and its signers
+ * @throws {Error} If the address is invalid or not a multisig
+ */
+export async function getMultisigInfo(address) {
+  const key = toPublicKey(address);
+  const info = await getConnection().getAccountInfo(key);
+  if (!info) throw new Error(`No account found at ${key.toBase58()}`);
+  const program = Object.values(TOKEN_PROGRAMS).find(({ programId }) => info.owner.equals(programId));
+  if (!program || info.data.length !== MULTISIG_SIZE) throw new Error(`${key.toBase58()} is not a token multisig`);
+
+  const multisig = unpackMultisig(key, info, program.programId);
+  return {
+    address: key,
+    programId: program.programId,
+    threshold: multisig.m,
+    signers: Array.from({ length: multisig.n }, (_, index) => multisig[`signer${index + 1}`]),
+  };
+}
+
+/**
+ * Withdraws the whole balance of a nonce account controlled by the wallet, which closes it.
+ * @async
+ * @param {Object} provider - The wallet adapter of the nonce authority
+ * @param {PublicKey} address - The nonce account
+ * @returns {Promise<{signature: string, lamports: number}>} Transaction signature and the rent returned in lamports
+ * @throws {Error} If the account is already closed, is not a nonce account of the wallet, or the transaction fails
+ */
+async function closeNonceAccount(provider, address) {
+  const account = await getConnection().getAccountInfo(address);
+  if (!account) throw new Error('The nonce account has already been closed');
+  if (!account.owner.equals(SystemProgram.programId) || account.data.length !== NONCE_ACCOUNT_LENGTH) {
+    throw new Error(`${address.toBase58()} is not a nonce account`);
+  }
+  if (!NonceAccount.fromAccountData(account.data).authorizedPubkey.equals(provider.publicKey)) {
+    throw new Error('Only the proposer can close this nonce account');
+  }
+
+  const signature = await sendWalletTransaction(provider, [SystemProgram.nonceWithdraw({
+    noncePubkey: address,
+    authorizedPubkey: provider.publicKey,
+    toPubkey: provider.publicKey,
+    lamports: account.lamports,
+  })], [], { label: 'Close proposal nonce' });
+  return { signature, lamports: account.lamports };
+}
+
+/**
+ * Proposes a mint or transfer authorized by a multisig.
+ * A durable nonce account is created first, paid for and controlled by the proposing wallet, so the proposal does
+ * not expire while signatures are collected; reclaimProposalNonce returns its rent afterwards, and it is closed
+ * right away if the proposal cannot be signed. The action is simulated before anything is signed. The proposing
+ * wallet pays the fee and signs first, which also counts as its multisig signature when it is one of the signers.
+ * @async
+ * @param {Object} provider - The wallet adapter of the proposer
+ * @param {Object} options
+ * @param {string} options.action - A key of PROPOSAL_ACTIONS
+ * @param {string|PublicKey} options.mint - The mint address of the token
+ * @param {string|PublicKey} options.multisig - The multisig that authorizes the action: the mint authority when
+ * minting, or the owner of the source token account when transferring
+ * @param {string|PublicKey} options.destination - The recipient's wallet address
+ * @param {string} options.amount - The amount of tokens, as a decimal string
+ * @param {Array<string|PublicKey>} options.signers - The multisig signers who will sign, at least its threshold
+ * @returns {Promise<Object>} The proposal from readProposal, including its serialized text to pass on
+ * @throws {Error} If an option is invalid, the simulation fails, signing fails, the wallet changes the transaction or
+ * wallet not connected
+ */
+export async function proposeMultisigTransaction(provider, { action, mint, multisig, destination, amount, signers = [] }) {
+  try {
+    if (!provider.isConnected) throw new Error('Wallet not connected');
+    if (!PROPOSAL_ACTIONS[action]) throw new Error(`Unknown action: ${action}`);
+    const connection = getConnection();
+    const [mintInfo, multisigInfo] = await Promise.all([getMintInfo(mint), getMultisigInfo(multisig)]);
+    const { decimals, programId } = mintInfo;
+    if (!multisigInfo.programId.equals(programId)) {
+      throw new Error('The multisig belongs to a different token program than the mint');
+    }
+
+    const signerKeys = [...new Set(signers.map((signer) => toPublicKey(signer).toBase58()))].map(toPublicKey);
+    if (signerKeys.some((key) => !multisigInfo.signers.some((signer) => signer.equals(key)))) {
+      throw new Error('Every chosen signer must be one of the multisig signers');
+    }
+    if (signerKeys.length < multisigInfo.threshold) {
+      throw new Error(`Choose at least ${multisigInfo.threshold} signers`);
+    }
+    const baseUnits = parseAmount(amount, decimals);
+    if (baseUnits <= 0n) throw new Error('Amount must be greater than 0');
+
+    const recipient = toPublicKey(destination);
+    const destinationAccount = getAssociatedTokenAddressSync(mintInfo.address, recipient, false, programId);
+    const instructions = [
+      createAssociatedTokenAccountIdempotentInstruction(
+        provider.publicKey,
+        destinationAccount,
+        recipient,
+        mintInfo.address,
+        programId
+      ),
+    ];
+    if (action === 'mint') {
+      if (!mintInfo.mintAuthority || !mintInfo.mintAuthority.equals(multisigInfo.address)) {
+        throw new Error('The multisig is not the mint authority of this token');
+      }
+      instructions.push(createMintToCheckedInstruction(
+        mintInfo.address,
+        destinationAccount,
+        multisigInfo.address,
+        baseUnits,
+        decimals,
+        signerKeys,
+        programId
+      ));
+    } else {
+      instructions.push(createTransferCheckedInstruction(
+        getAssociatedTokenAddressSync(mintInfo.address, multisigInfo.address, true, programId),
+        mintInfo.address,
+        destinationAccount,
+        multisigInfo.address,
+        baseUnits,
+        decimals,
+        signerKeys,
+        programId
+      ));
+    }
+
+    // Check the action before paying for a nonce account; signatures are not verified in simulation
+    const draft = new Transaction({
+      feePayer: provider.publicKey,
+      blockhash: PublicKey.default.toBase58(),
+      lastValidBlockHeight: 0,
+    }).add(...instructions);
+    const preview = await previewTransaction(draft);
+    if (!preview.success) throw new Error(`Simulation failed: ${preview.error}`);
+
+    const nonceKeypair = Keypair.generate();
+    const nonceRent = await connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH);
+    await sendWalletTransaction(
+      provider,
+      SystemProgram.createNonceAccount({
+        fromPubkey: provider.publicKey,
+        noncePubkey: nonceKeypair.publicKey,
+        authorizedPubkey: provider.publicKey,
+        lamports: nonceRent,
+      }).instructions,
+      [nonceKeypair],
+      { label: 'Create proposal nonce' }
+    );
+
+    try {
+      const nonceAccount = await connection.getNonce(nonceKeypair.publicKey);
+      if (!nonceAccount) throw new Error('The nonce account could not be read');
+
+      const budget = await getComputeBudget(provider.publicKey, instructions, nonceAccount.nonce);
+      const transaction = new Transaction({
+        feePayer: provider.publicKey,
+        nonceInfo: {
+          nonce: nonceAccount.nonce,
+          nonceInstruction: SystemProgram.nonceAdvance({
+            noncePubkey: nonceKeypair.publicKey,
+            authorizedPubkey: provider.publicKey,
+          }),
+        },
+      }).add(...budget.instructions, ...instructions);
+      const signed = await provider.signTransaction(transaction);
+      if (!signed.serializeMessage().equals(transaction.serializeMessage())) {
+        throw new Error('The wallet changed the transaction, so it would not be the proposal that was reviewed');
+      }
+      return readProposal(Buffer.from(signed.serialize({ requireAllSignatures: false })).toString('base64'));
+    } catch (error) {
+      // Without a proposal nothing refers to the nonce account any more, so return its rent right away
+      const address = nonceKeypair.publicKey.toBase58();
+      const refund = await closeNonceAccount(provider, nonceKeypair.publicKey)
+        .then(() => 'The nonce account was closed and its rent returned')
+        .catch((refundError) => `The rent is still held by nonce account ${address}: ${refundError.message}`);
+      throw new Error(`${error.message}. ${refund}`);
+    }
+  } catch (error) {
+    throw new Error(`Proposal failed: ${error.message}`);
+  }
+}
+
+/**
+ * Decodes a serialized multisig proposal and checks the signatures it already carries.
+ * @param {string} serialized - The proposal as base64 text
+ * @returns {{transaction: Transaction, serialized: string, action: string, programId: PublicKey, mint: PublicKey,
+ * destination: PublicKey, multisig: PublicKey, amount: bigint, decimals: number, feePayer: PublicKey,
+ * nonceAccount: PublicKey, nonceAuthority: PublicKey, nonce: string, signatures: Array<{publicKey: PublicKey, signed: boolean}>,
+ * missing: Array<PublicKey>}} What the proposal does, who has signed it and whose signatures are still missing
+ * @throws {Error} If the text is not a transaction, a signature does not match, or it is not a mint or transfer
+ * proposal
+ */
+export function readProposal(serialized) {
+  const text = serialized.trim();
+  let transaction;
+  try {
+    transaction = Transaction.from(Buffer.from(text, 'base64'));
+  } catch {
+    throw new Error('This is not a serialized transaction');
+  }
+  if (!transaction.verifySignatures(false)) {
+    throw new Error('A signature does not match the transaction, so it may have been altered');
+  }
+
+  let nonceAccount;
+  let nonceAuthority;
+  try {
+    ({ noncePubkey: nonceAccount, authorizedPubkey: nonceAuthority } = SystemInstruction
+      .decodeNonceAdvance(transaction.instructions[0]));
+  } catch {
+    throw new Error('The transaction does not use a durable nonce, so it is not a multisig proposal');
+  }
+  const instruction = transaction.instructions.find(({ programId }) => Object.values(TOKEN_PROGRAMS)
+    .some((program) => programId.equals(program.programId)));
+  let action;
+  let decoded;
+  if (instruction && instruction.data[0] === TokenInstruction.MintToChecked) {
+    action = 'mint';
+    decoded = decodeMintToCheckedInstruction(instruction, instruction.programId);
+  } else if (instruction && instruction.data[0] === TokenInstruction.TransferChecked) {
+    action = 'transfer';
+    decoded = decodeTransferCheckedInstruction(instruction, instruction.programId);
+  } else {
+    throw new Error('Only mint and transfer proposals are supported');
+  }
+
+  const signatures = transaction.signatures.map(({ publicKey, signature }) => ({ publicKey, signed: Boolean(signature) }));
+  return {
+    transaction,
+    serialized: text,
+    action,
+    programId: instruction.programId,
+    mint: decoded.keys.mint.pubkey,
+    destination: decoded.keys.destination.pubkey,
+    multisig: (action === 'mint' ? decoded.keys.authority : decoded.keys.owner).pubkey,
+    amount: decoded.data.amount,
+    decimals: decoded.data.decimals,
+    feePayer: transaction.feePayer,
+    nonceAccount,
+    nonceAuthority,
+    nonce: transaction.recentBlockhash,
+    signatures,
+    missing: signatures.filter(({ signed }) => !signed).map(({ publicKey }) => publicKey),
+  };
+}
+
+/**
+ * Adds the connected wallet's signature to a proposal.
+ * @async
+ * @param {Object} provider - The wallet adapter of a signer whose signature is still missing
+ * @param {Object} proposal - The proposal from readProposal
+ * @returns {Promise<Object>} The proposal with the new signature, from readProposal
+ * @throws {Error} If the wallet is not a missing signer, rejects the request or changes the transaction
+ */
+export async function signProposal(provider, proposal) {
+  try {
+    if (!provider.isConnected) throw new Error('Wallet not connected');
+    if (!proposal.missing.some((key) => key.equals(provider.publicKey))) {
+      throw new Error('This wallet is not one of the signers still needed');
+    }
+    const signed = await provider.signTransaction(proposal.transaction);
+    if (!signed.serializeMessage().equals(proposal.transaction.serializeMessage())) {
+      throw new Error('The wallet changed the transaction, which would invalidate the other signatures');
+    }
+    return readProposal(Buffer.from(signed.serialize({ requireAllSignatures: false })).toString('base64'));
+  } catch (error) {
+    throw new Error(`Signing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Submits a fully signed proposal and waits for it to be confirmed. Any wallet, or none, can submit it.
+ * A proposal cannot be resent once its nonce has been used.
+ * @async
+ * @param {Object} proposal - The proposal from readProposal
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If signatures are missing, or the transaction fails or expires
+ */
+export async function submitProposal(proposal) {
+  try {
+    if (proposal.missing.length) throw new Error(`${proposal.missing.length} signature(s) are still missing`);
+    let submitted = false;
+    return await trackTransaction(`Multisig: ${PROPOSAL_ACTIONS[proposal.action]}`, async () => {
+      if (submitted) throw new Error('The proposal\'s nonce has already been used. Create a new proposal');
+      submitted = true;
+      const signature = await getConnection().sendRawTransaction(proposal.transaction.serialize());
+      return { signature, blockhash: proposal.nonce, nonceAccount: proposal.nonceAccount.toBase58() };
+    });
+  } catch (error) {
+    throw new Error(`Submitting failed: ${error.message}`);
+  }
+}
+
+/**
+ * Closes a proposal's nonce account and returns its rent to the proposer, who controls it.
+ * Once the proposal has been submitted the nonce account is no longer needed. Closing it before then cancels the
+ * proposal, which can no longer be submitted.
+ * @async
+ * @param {Object} provider - The wallet adapter of the proposer
+ * @param {Object} proposal - The proposal from readProposal
+ * @returns {Promise<{signature: string, lamports: number}>} Transaction signature and the rent returned in lamports
+ * @throws {Error} If the nonce account is already closed, the wallet does not control it, or the transaction fails
+ */
+export async function reclaimProposalNonce(provider, proposal) {
+  try {
+    if (!provider.isConnected) throw new Error('Wallet not connected');
+    return await closeNonceAccount(provider, proposal.nonceAccount);
+  } catch (error) {
+    throw new Error(`Reclaiming the nonce deposit failed: ${error.message}`);
+  }
+}
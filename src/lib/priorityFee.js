@@ -0,0 +1,184 @@
+/**
+ * @module priorityFee
+ * @description Chooses the compute budget attached to every transaction the app sends.
+ * The compute unit limit is sized from a simulation of the transaction, and the compute unit price follows the
+ * selected fee strategy: none, a fixed price, or a percentile of the prioritization fees recently paid for the
+ * accounts the transaction writes to. The strategy is saved in localStorage.
+ */
+
+import { ComputeBudgetProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+
+/**
+ * The available fee strategies.
+ * @constant {Object<string, {name: string, label: string}>}
+ */
+export const FEE_STRATEGIES = {
+  none: { name: 'none', label: 'None' },
+  fixed: { name: 'fixed', label: 'Fixed price' },
+  auto: { name: 'auto', label: 'Auto (recent fees)' },
+};
+
+/**
+ * The percentiles of recent prioritization fees the auto strategy can pay.
+ * @constant {Array<number>}
+ */
+export const FEE_PERCENTILES = [50, 75, 90];
+
+/**
+ * The compute unit limit used when a transaction cannot be simulated.
+ * @constant {number}
+ */
+export const FALLBACK_COMPUTE_UNITS = 200000;
+
+const STORAGE_KEY = 'solana_wallet.priorityFee';
+const DEFAULT_STRATEGY = { mode: 'auto', microLamports: 1000, percentile: 75 };
+const MAX_COMPUTE_UNITS = 1400000;
+const COMPUTE_UNIT_MARGIN = 1.1;
+const MAX_AUTO_MICRO_LAMPORTS = 5000000;
+
+let activeStrategy = DEFAULT_STRATEGY;
+const listeners = new Set();
+
+/**
+ * Returns the active fee strategy.
+ * @returns {{mode: string, microLamports: number, percentile: number}} The fee strategy
+ */
+export function getFeeStrategy() {
+  return activeStrategy;
+}
+
+/**
+ * Changes the fee strategy, persists it and notifies subscribers.
+ * @param {Object} strategy
+ * @param {string} strategy.mode - One of the FEE_STRATEGIES keys
+ * @param {number} [strategy.microLamports] - The price per compute unit for the fixed strategy
+ * @param {number} [strategy.percentile] - One of FEE_PERCENTILES, for the auto strategy
+ * @returns {Object} The new fee strategy
+ * @throws {Error} If the strategy is invalid
+ */
+export function setFeeStrategy({ mode, microLamports = activeStrategy.microLamports, percentile = activeStrategy.percentile }) {
+  if (!FEE_STRATEGIES[mode]) throw new Error(`Unknown fee strategy: ${mode}`);
+  if (!Number.isInteger(microLamports) || microLamports < 0) {
+    throw new Error('Priority fee must be a whole number of micro-lamports');
+  }
+  if (!FEE_PERCENTILES.includes(percentile)) throw new Error(`Unsupported percentile: ${percentile}`);
+
+  activeStrategy = { mode, microLamports, percentile };
+  if (typeof window !== 'undefined') window.localStorage.setItem(STORAGE_KEY, JSON.stringify(activeStrategy));
+  listeners.forEach((listener) => listener(activeStrategy));
+  return activeStrategy;
+}
+
+/**
+ * Restores the fee strategy persisted by a previous setFeeStrategy call.
+ * Invalid or missing entries are ignored and the default strategy stays active.
+ * @returns {Object} The active fee strategy
+ */
+export function restoreFeeStrategy() {
+  if (typeof window === 'undefined') return activeStrategy;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) return setFeeStrategy(stored);
+  } catch (error) {
+    console.error('Failed to restore fee strategy:', error);
+  }
+  return activeStrategy;
+}
+
+/**
+ * Subscribes to fee strategy changes.
+ * @param {Function} listener - Called with the new fee strategy
+ * @returns {Function} Unsubscribe function
+ */
+export function onFeeStrategyChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Works out the compute unit price for a transaction under a fee strategy.
+ * The auto strategy takes the chosen percentile of the fees paid in recent slots by transactions that locked
+ * the same writable accounts, capped to avoid paying for a momentary spike.
+ * @async
+ * @param {Array<TransactionInstruction>} [instructions] - The transaction's instructions, for the auto strategy
+ * @param {Object} [strategy] - The fee strategy, the active one by default
+ * @returns {Promise<number>} The price in micro-lamports per compute unit
+ * @throws {Error} If recent fees cannot be fetched
+ */
+export async function getComputeUnitPrice(instructions = [], strategy = activeStrategy) {
+  const { mode, microLamports, percentile } = strategy;
+  if (mode === 'none') return 0;
+  if (mode === 'fixed') return microLamports;
+
+  const writable = [...new Map(instructions
+    .flatMap(({ keys }) => keys)
+    .filter(({ isWritable }) => isWritable)
+    .map(({ pubkey }) => [pubkey.toBase58(), pubkey])).values()].slice(0, 128);
+  const recent = await getConnection().getRecentPrioritizationFees({ lockedWritableAccounts: writable });
+  if (!recent.length) return 0;
+
+  const fees = recent.map(({ prioritizationFee }) => prioritizationFee).sort((a, b) => a - b);
+  const index = Math.min(fees.length - 1, Math.max(0, Math.ceil((percentile / 100) * fees.length) - 1));
+  return Math.min(fees[index], MAX_AUTO_MICRO_LAMPORTS);
+}
+
+/**
+ * Simulates a transaction to size its compute unit limit, with a safety margin.
+ * When the simulation fails, a default limit is used and the error surfaces when the transaction is sent.
+ * @async
+ * @param {PublicKey} payer - The fee payer
+ * @param {Array<TransactionInstruction>} instructions - The transaction's instructions
+ * @param {string} blockhash - A recent blockhash
+ * @returns {Promise<number>} The compute unit limit
+ */
+async function estimateComputeUnits(payer, instructions, blockhash) {
+  try {
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: blockhash,
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+        ...instructions,
+      ],
+    }).compileToV0Message();
+    const { value } = await getConnection().simulateTransaction(
+      new VersionedTransaction(message),
+      { sigVerify: false, replaceRecentBlockhash: true }
+    );
+    if (value.err || !value.unitsConsumed) return FALLBACK_COMPUTE_UNITS;
+    return Math.min(MAX_COMPUTE_UNITS, Math.ceil(value.unitsConsumed * COMPUTE_UNIT_MARGIN));
+  } catch (error) {
+    console.error('Compute unit simulation failed:', error);
+    return FALLBACK_COMPUTE_UNITS;
+  }
+}
+
+/**
+ * Works out the compute budget for a transaction and the instructions that set it.
+ * @async
+ * @param {PublicKey} payer - The fee payer
+ * @param {Array<TransactionInstruction>} instructions - The transaction's instructions
+ * @param {string} blockhash - A recent blockhash
+ * @returns {Promise<{units: number, microLamports: number, priorityFee: number,
+ * instructions: Array<TransactionInstruction>}>} The compute unit limit and price, the resulting priority fee
+ * in lamports, and the ComputeBudgetProgram instructions to put first in the transaction
+ */
+export async function getComputeBudget(payer, instructions, blockhash) {
+  const [units, microLamports] = await Promise.all([
+    estimateComputeUnits(payer, instructions, blockhash),
+    getComputeUnitPrice(instructions).catch((error) => {
+      console.error('Failed to fetch recent prioritization fees:', error);
+      return 0;
+    }),
+  ]);
+  const budgetInstructions = [ComputeBudgetProgram.setComputeUnitLimit({ units })];
+  if (microLamports > 0) budgetInstructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  return {
+    units,
+    microLamports,
+    priorityFee: Math.ceil((units * microLamports) / 1000000),
+    instructions: budgetInstructions,
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * @module recipient
+ * @description Checks a recipient address before anything is sent to it. Every problem found is reported as an issue
+ * with a readable message instead of a thrown error: errors mean the transfer would fail or the funds would be lost,
+ * warnings mean the transfer works but the address deserves a second look. When the address is a token account, the
+ * issue suggests its owner's wallet address instead.
+ */
+
+import { MULTISIG_SIZE, TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID, unpackAccount, unpackMint } from '@solana/spl-token';
+import { PublicKey, SystemProgram } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { getCluster, getConnection } from './connection.js';
+import { findContact, isKnownRecipient } from './addressBook.js';
+
+const BASE58_CHARACTERS = /[1-9A-HJ-NP-Za-km-z]/;
+
+const errorIssue = (message, suggestion) => ({ level: 'error', message, suggestion });
+const warningIssue = (message) => ({ level: 'warning', message });
+
+/**
+ * Decodes an address, describing why it is not a valid Solana address when it cannot be used.
+ * @param {string} address - The address as typed
+ * @returns {{publicKey: PublicKey|null, issue: Object|null}} The address, or the issue explaining why it is invalid
+ */
+function decodeAddress(address) {
+  const invalid = [...new Set([...address].filter((character) => !BASE58_CHARACTERS.test(character)))];
+  if (invalid.length > 0) {
+    const listed = invalid.map((character) => (character.trim() ? `"${character}"` : 'spaces')).join(', ');
+    return {
+      publicKey: null,
+      issue: errorIssue(`Not a valid address: it contains ${listed}, which never appear in Solana addresses (0, O, I and l are left out to avoid mix-ups)`),
+    };
+  }
+  const length = bs58.decode(address).length;
+  if (length !== 32) {
+    return {
+      publicKey: null,
+      issue: errorIssue(`Not a valid address: it decodes to ${length} bytes instead of 32. Check for missing or extra characters`),
+    };
+  }
+  return { publicKey: new PublicKey(address), issue: null };
+}
+
+/**
+ * Describes an account owned by one of the token programs, which is never a wallet.
+ * @param {PublicKey} address - The account address
+ * @param {Object} accountInfo - The account, as returned by getAccountInfo
+ * @param {string} mode - 'sol' or 'token'
+ * @returns {Object} The issue
+ */
+function describeTokenProgramAccount(address, accountInfo, mode) {
+  const assets = mode === 'sol' ? 'SOL' : 'Tokens';
+  try {
+    const account = unpackAccount(address, accountInfo, accountInfo.owner);
+    return errorIssue(
+      `This is a token account, not a wallet. ${assets} should go to its owner, ${account.owner.toBase58()}`,
+      { label: 'Use the owner\'s address', address: account.owner.toBase58() }
+    );
+  } catch {
+    // Not a token account
+  }
+  try {
+    unpackMint(address, accountInfo, accountInfo.owner);
+    return errorIssue(`This is the mint of a token, not a wallet. ${assets} sent here could never be recovered`);
+  } catch {
+    // Not a mint
+  }
+  if (accountInfo.data.length === MULTISIG_SIZE) {
+    return warningIssue('This is a token multisig. Only tokens can be held for it, and only a threshold of its signers can move them');
+  }
+  return errorIssue('This account belongs to the token program and is not a wallet');
+}
+
+/**
+ * Checks an address before sending SOL or tokens to it.
+ * Invalid base58, the wrong length, mints, token accounts and programs are errors; program-derived addresses are
+ * errors for token transfers, which need a wallet that can own a token account. Sending to yourself, to an account
+ * owned by another program, to an address never used on the cluster or to a first-time recipient are warnings.
+ * @async
+ * @param {string} address - The recipient address as typed
+ * @param {Object} [options]
+ * @param {PublicKey|string} [options.sender] - The connected wallet
+ * @param {string} [options.mode='sol'] - 'sol' or 'token', what is being sent
+ * @returns {Promise<{address: PublicKey|null, contact: Object|null, issues: Array<{level: string, message: string,
+ * suggestion?: {label: string, address: string}}>}>} The decoded address, its address book entry and the issues found
+ * @throws {Error} If the account cannot be fetched
+ */
+export async function checkRecipient(address, { sender, mode = 'sol' } = {}) {
+  try {
+    const { publicKey, issue } = decodeAddress(address.trim());
+    if (!publicKey) return { address: null, contact: null, issues: [issue] };
+
+    const isSender = Boolean(sender) && publicKey.equals(new PublicKey(sender));
+    const issues = [];
+    if (isSender) {
+      issues.push(warningIssue('This is your own wallet. The transfer would only cost fees'));
+    }
+    if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+      issues.push(mode === 'token'
+        ? errorIssue('This is a program-derived address with no private key. Tokens can only be sent to a wallet here')
+        : warningIssue('This is a program-derived address with no private key. Only the program that owns it can move SOL out'));
+    }
+
+    const accountInfo = await getConnection().getAccountInfo(publicKey);
+    if (!accountInfo) {
+      issues.push(warningIssue(`This address has never been used on ${getCluster().label}. Double-check it was copied for the right cluster`));
+    } else if (accountInfo.executable) {
+      issues.push(errorIssue('This is a program, not a wallet. Anything sent here could never be recovered'));
+    } else if (accountInfo.owner.equals(TOKEN_PROGRAM_ID) || accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      issues.push(describeTokenProgramAccount(publicKey, accountInfo, mode));
+    } else if (!accountInfo.owner.equals(SystemProgram.programId)) {
+      issues.push(warningIssue(`This account is owned by the program ${accountInfo.owner.toBase58()}, not a wallet. Make sure it expects this transfer`));
+    }
+
+    if (!isSender && !isKnownRecipient(publicKey)) {
+      issues.push(warningIssue('You have not sent anything to this address before'));
+    }
+    return { address: publicKey, contact: findContact(publicKey), issues };
+  } catch (error) {
+    throw new Error(`Recipient check failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * @module simulation
+ * @description Simulates a built transaction before the wallet is asked to sign it.
+ * The preview lists the SOL and token balance changes the transaction would make to every account it touches,
+ * its program logs and the compute units it used. A failed simulation is decoded into a readable program error.
+ */
+
+import { Buffer } from 'buffer';
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  unpackAccount,
+  unpackMint
+} from '@solana/spl-token';
+import { ComputeBudgetProgram, PublicKey, SystemProgram, VersionedTransaction } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+
+// metadata.js sends through transaction.js, which uses this module, so its program id is repeated here
+const TOKEN_METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+const PROGRAM_NAMES = {
+  [SystemProgram.programId.toBase58()]: 'System Program',
+  [ComputeBudgetProgram.programId.toBase58()]: 'Compute Budget Program',
+  [TOKEN_PROGRAM_ID.toBase58()]: 'Token Program',
+  [TOKEN_2022_PROGRAM_ID.toBase58()]: 'Token-2022 Program',
+  [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]: 'Associated Token Account Program',
+  [TOKEN_METADATA_PROGRAM_ID]: 'Metaplex Token Metadata',
+};
+
+// Custom error codes, indexed by code, for the programs this app calls
+const SYSTEM_ERRORS = [
+  'An account with this address already exists',
+  'The account does not have enough SOL for this operation',
+  'Cannot assign the account to this program',
+  'Invalid account data length',
+  'Seed is too long',
+  'Derived address does not match the seed',
+];
+
+const TOKEN_ERRORS = [
+  'Lamport balance is below the rent-exempt threshold',
+  'Insufficient token balance',
+  'Invalid mint',
+  'The token account does not belong to this mint',
+  'The signer is not the owner or authority of this account',
+  'This token has a fixed supply and cannot be minted',
+  'The account is already in use',
+  'Invalid number of provided signers',
+  'Invalid number of required signers',
+  'The account is not initialized',
+  'Native SOL accounts do not support this instruction',
+  'A non-native account can only be closed when its balance is zero',
+  'Invalid instruction',
+  'The account is in an invalid state for this operation',
+  'The amount overflows',
+  'This authority type is not supported for this account',
+  'This mint has no freeze authority',
+  'The token account is frozen',
+  'The amount uses different decimals than the mint',
+  'Only native SOL accounts support this instruction',
+  'The account has the wrong extension type',
+  'The extension does not match the base account type',
+  'The extension is already initialized',
+  'The confidential transfer account still has a balance',
+  'The confidential transfer account is not approved',
+  'Confidential deposits and transfers are disabled',
+  'The ElGamal public key does not match',
+  'The confidential balance does not match',
+  'The mint still has a supply',
+  'No authority exists to perform this operation',
+  'The transfer fee exceeds the maximum allowed',
+  'The mint is required for this transfer',
+  'The transfer fee does not match',
+  'The transfer fee parameters do not match',
+  'The account owner cannot be changed',
+  'The account holds withheld transfer fees',
+  'A memo is required for transfers into this account',
+  'This token is non-transferable',
+];
+
+const ASSOCIATED_TOKEN_ERRORS = [
+  'The owner does not match the associated token account address',
+];
+
+const TRANSACTION_ERRORS = {
+  AccountNotFound: 'The fee payer has no SOL on this cluster',
+  InsufficientFundsForFee: 'The fee payer cannot cover the transaction fee',
+  BlockhashNotFound: 'The blockhash has expired',
+  AlreadyProcessed: 'This transaction has already been processed',
+};
+
+const humanize = (name) => name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+/**
+ * Turns a simulation error into a message naming the failing instruction, its program and the reason.
+ * @param {string|Object} err - The error returned by simulateTransaction
+ * @param {Message} message - The simulated message
+ * @param {Array<string>} logs - The program logs
+ * @returns {string} The decoded error
+ */
+function describeSimulationError(err, message, logs) {
+  if (typeof err === 'string') return TRANSACTION_ERRORS[err] || humanize(err);
+  if (err.InsufficientFundsForRent) {
+    const account = message.accountKeys[err.InsufficientFundsForRent.account_index];
+    return `${account ? account.toBase58() : 'An account'} would not hold enough SOL to stay rent-exempt`;
+  }
+  if (!err.InstructionError) return JSON.stringify(err);
+
+  const [index, reason] = err.InstructionError;
+  const instruction = message.instructions[index];
+  const programId = instruction ? message.accountKeys[instruction.programIdIndex].toBase58() : null;
+  const program = PROGRAM_NAMES[programId] || programId || 'Unknown program';
+
+  let detail;
+  if (typeof reason === 'string') {
+    detail = humanize(reason);
+  } else if (reason.Custom !== undefined) {
+    const code = reason.Custom;
+    const known = {
+      [SystemProgram.programId.toBase58()]: SYSTEM_ERRORS,
+      [TOKEN_PROGRAM_ID.toBase58()]: TOKEN_ERRORS.slice(0, 20),
+      [TOKEN_2022_PROGRAM_ID.toBase58()]: TOKEN_ERRORS,
+      [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]: ASSOCIATED_TOKEN_ERRORS,
+    }[programId];
+    const logged = [...logs].reverse().find((line) => /^Program log: (Error|AnchorError)/.test(line));
+    detail = (known && known[code])
+      || (logged && logged.replace(/^Program log: (Error: )?/, ''))
+      || `custom error ${code} (0x${code.toString(16)})`;
+  } else {
+    detail = JSON.stringify(reason);
+  }
+  return `Instruction ${index + 1} (${program}) failed: ${detail}`;
+}
+
+/**
+ * Converts an account returned by simulateTransaction into the shape web3.js uses elsewhere.
+ * @param {Object|null} account - The simulated account, with base64 data
+ * @returns {Object|null} The account info
+ */
+function toAccountInfo(account) {
+  if (!account) return null;
+  return {
+    lamports: account.lamports,
+    owner: new PublicKey(account.owner),
+    data: Buffer.from(account.data[0], 'base64'),
+    executable: account.executable,
+    rentEpoch: account.rentEpoch,
+  };
+}
+
+/**
+ * Reads the mint and amount of a token account, if the account is one.
+ * @param {PublicKey} address - The account address
+ * @param {Object|null} info - The account info
+ * @returns {{mint: string, amount: bigint}|null} The token balance
+ */
+function readTokenBalance(address, info) {
+  if (!info || !(info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID))) return null;
+  try {
+    const { mint, amount } = unpackAccount(address, info, info.owner);
+    return { mint: mint.toBase58(), amount };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Simulates a built transaction and previews its effects.
+ * @async
+ * @param {Transaction} transaction - The transaction, as it will be handed to the wallet
+ * @returns {Promise<{success: boolean, error: string|null, logs: Array<string>, unitsConsumed: number,
+ * balanceChanges: Array<{address: string, isFeePayer: boolean, sol: {pre: bigint, post: bigint},
+ * token: {mint: string, decimals: number, pre: bigint, post: bigint}|null}>}>} Whether the simulation succeeded,
+ * the decoded error when it did not, and the logs, compute units and balance changes of every account it touches
+ * @throws {Error} If the simulation cannot be run
+ */
+export async function previewTransaction(transaction) {
+  try {
+    const connection = getConnection();
+    const message = transaction.compileMessage();
+    const { accountKeys } = message;
+    const [preAccounts, { value }] = await Promise.all([
+      connection.getMultipleAccountsInfo(accountKeys),
+      connection.simulateTransaction(new VersionedTransaction(message), {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        accounts: { encoding: 'base64', addresses: accountKeys.map((key) => key.toBase58()) },
+      }),
+    ]);
+    const logs = value.logs || [];
+    const preview = {
+      success: !value.err,
+      error: value.err ? describeSimulationError(value.err, message, logs) : null,
+      logs,
+      unitsConsumed: value.unitsConsumed || 0,
+      balanceChanges: [],
+    };
+    if (value.err || !value.accounts) return preview;
+
+    const postAccounts = value.accounts.map(toAccountInfo);
+    const states = accountKeys.map((address, index) => ({
+      address,
+      pre: preAccounts[index],
+      post: postAccounts[index],
+      preToken: readTokenBalance(address, preAccounts[index]),
+      postToken: readTokenBalance(address, postAccounts[index]),
+    }));
+
+    // Mints created by this transaction only exist in the simulated state
+    const decimals = new Map();
+    states.forEach(({ address, post }) => {
+      if (!post) return;
+      try {
+        decimals.set(address.toBase58(), unpackMint(address, post, post.owner).decimals);
+      } catch {
+        // Not a mint
+      }
+    });
+    const missing = [...new Set(states
+      .map(({ preToken, postToken }) => (postToken || preToken || {}).mint)
+      .filter((mint) => mint && !decimals.has(mint)))];
+    if (missing.length) {
+      const mints = await connection.getMultipleAccountsInfo(missing.map((mint) => new PublicKey(mint)));
+      mints.forEach((info, index) => {
+        if (!info) return;
+        try {
+          decimals.set(missing[index], unpackMint(new PublicKey(missing[index]), info, info.owner).decimals);
+        } catch {
+          // Not a mint
+        }
+      });
+    }
+
+    preview.balanceChanges = states
+      .map(({ address, pre, post, preToken, postToken }, index) => {
+        const sol = { pre: BigInt(pre ? pre.lamports : 0), post: BigInt(post ? post.lamports : 0) };
+        const tokenState = postToken || preToken;
+        const token = tokenState
+          ? {
+            mint: tokenState.mint,
+            decimals: decimals.has(tokenState.mint) ? decimals.get(tokenState.mint) : 0,
+            pre: preToken ? preToken.amount : 0n,
+            post: postToken ? postToken.amount : 0n,
+          }
+          : null;
+        return { address: address.toBase58(), isFeePayer: index === 0, sol, token };
+      })
+      .filter(({ sol, token }) => sol.pre !== sol.post || (token && token.pre !== token.post));
+    return preview;
+  } catch (error) {
+    throw new Error(`Simulation failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * @module solanaPay
+ * @description Solana Pay transfer requests: building `solana:` URLs for a payment the wallet wants to receive,
+ * parsing the URLs of payments it is asked to make, and confirming a received payment. Every request carries a
+ * fresh reference key, which the payer's wallet adds to the transfer so the payment can be looked up by it and
+ * checked against the requested recipient, amount, token and memo.
+ */
+
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+import { formatAmount, parseAmount } from './amount.js';
+import { getMintInfo } from './token.js';
+import { MEMO_PROGRAM_ID } from './transaction.js';
+
+const SOLANA_PROTOCOL = 'solana:';
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Builds a Solana Pay transfer request URL.
+ * @param {Object} request
+ * @param {PublicKey} request.recipient - The wallet that receives the payment
+ * @param {string} [request.amount] - The amount in SOL or tokens, as a decimal string; the payer chooses when omitted
+ * @param {PublicKey} [request.splToken] - The mint of the token to pay in; SOL when omitted
+ * @param {Array<PublicKey>} [request.references=[]] - Keys the payment can be found by
+ * @param {string} [request.label] - Who is asking for the payment
+ * @param {string} [request.message] - What the payment is for
+ * @param {string} [request.memo] - A memo the payer's transaction must record
+ * @returns {string} The URL
+ */
+export function encodePaymentURL({ recipient, amount, splToken, references = [], label, message, memo }) {
+  const params = [
+    ['amount', amount],
+    ['spl-token', splToken && splToken.toBase58()],
+    ...references.map((reference) => ['reference', reference.toBase58()]),
+    ['label', label],
+    ['message', message],
+    ['memo', memo],
+  ].filter(([, value]) => value);
+  const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `${SOLANA_PROTOCOL}${recipient.toBase58()}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Parses a Solana Pay transfer request URL.
+ * @param {string} url - The URL, as scanned or pasted
+ * @returns {{url: string, recipient: PublicKey, amount: string|null, splToken: PublicKey|null,
+ * references: Array<PublicKey>, label: string, message: string, memo: string}} The request
+ * @throws {Error} If the URL is not a valid transfer request
+ */
+export function parsePaymentURL(url) {
+  const text = url.trim();
+  if (!text.toLowerCase().startsWith(SOLANA_PROTOCOL)) {
+    throw new Error('Not a Solana Pay link: it must start with "solana:"');
+  }
+  const [path, query = ''] = text.slice(SOLANA_PROTOCOL.length).split('?');
+  const target = decodeURIComponent(path);
+  if (/^https?:/i.test(target)) {
+    throw new Error('This is a Solana Pay transaction request, which asks a server to build the transaction. Only transfer requests are supported');
+  }
+
+  const key = (value, name) => {
+    try {
+      return new PublicKey(value);
+    } catch {
+      throw new Error(`Invalid ${name} in Solana Pay link: ${value}`);
+    }
+  };
+  const params = new URLSearchParams(query);
+  const amount = params.get('amount');
+  if (amount !== null && !AMOUNT_PATTERN.test(amount)) {
+    throw new Error(`Invalid amount in Solana Pay link: ${amount}`);
+  }
+  const splToken = params.get('spl-token');
+
+  return {
+    url: text,
+    recipient: key(target, 'recipient'),
+    amount,
+    splToken: splToken ? key(splToken, 'token') : null,
+    references: params.getAll('reference').map((reference) => key(reference, 'reference')),
+    label: params.get('label') || '',
+    message: params.get('message') || '',
+    memo: params.get('memo') || '',
+  };
+}
+
+/**
+ * Creates a transfer request for a payment to the given wallet, with a new reference key to find it by.
+ * @async
+ * @param {Object} request
+ * @param {PublicKey|string} request.recipient - The wallet that receives the payment
+ * @param {string} [request.amount] - The amount in SOL or tokens, as a decimal string
+ * @param {PublicKey} [request.splToken] - The mint of the token to pay in; SOL when omitted
+ * @param {string} [request.label] - Who is asking for the payment
+ * @param {string} [request.message] - What the payment is for
+ * @param {string} [request.memo] - A memo the payer's transaction must record
+ * @returns {Promise<Object>} The request, with its reference key, the token's decimals and the URL
+ * @throws {Error} If the amount is invalid or the token cannot be found
+ */
+export async function createPaymentRequest({ recipient, amount = '', splToken = null, label = '', message = '', memo = '' }) {
+  try {
+    const decimals = splToken ? (await getMintInfo(splToken)).decimals : 9;
+    if (amount) {
+      if (!AMOUNT_PATTERN.test(amount)) throw new Error(`Invalid amount: ${amount}`);
+      if (parseAmount(amount, decimals) <= 0n) throw new Error('Amount must be greater than 0');
+    }
+    const request = {
+      recipient: new PublicKey(recipient),
+      amount: amount || null,
+      splToken,
+      decimals,
+      references: [Keypair.generate().publicKey],
+      label: label.trim(),
+      message: message.trim(),
+      memo: memo.trim(),
+    };
+    return { ...request, url: encodePaymentURL(request) };
+  } catch (error) {
+    throw new Error(`Payment request failed: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the first successful transaction that mentions a reference key.
+ * @async
+ * @param {PublicKey} reference - The reference key
+ * @returns {Promise<string|null>} The transaction signature, or null if nothing has been paid yet
+ */
+async function findReference(reference) {
+  const signatures = await getConnection().getSignaturesForAddress(reference, { limit: 1000 }, 'confirmed');
+  const found = signatures.reverse().find(({ err }) => !err);
+  return found ? found.signature : null;
+}
+
+/**
+ * Checks a transaction against the transfer request it is supposed to pay.
+ * @param {Object} transaction - The parsed transaction
+ * @param {Object} request - The transfer request, see createPaymentRequest
+ * @returns {{received: bigint, decimals: number, payer: PublicKey}} What the recipient received and who paid
+ * @throws {Error} If the transaction does not pay the request
+ */
+function validatePayment(transaction, request) {
+  const { meta } = transaction;
+  if (meta.err) throw new Error('The payment transaction failed');
+  const accountKeys = transaction.transaction.message.accountKeys.map(({ pubkey }) => pubkey);
+  const includes = (address) => accountKeys.some((key) => key.equals(address));
+  if (!request.references.every(includes)) throw new Error('The transaction does not carry the payment reference');
+  if (request.memo) {
+    const memo = transaction.transaction.message.instructions
+      .find(({ programId }) => programId.equals(MEMO_PROGRAM_ID));
+    if (!memo || memo.parsed !== request.memo) throw new Error(`The memo "${request.memo}" is missing`);
+  }
+
+  let received;
+  let decimals;
+  if (request.splToken) {
+    const mint = request.splToken.toBase58();
+    const owner = request.recipient.toBase58();
+    const balanceOf = (balances) => (balances || [])
+      .filter((balance) => balance.owner === owner && balance.mint === mint)
+      .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+    const paidElsewhere = (meta.postTokenBalances || []).some((balance) => balance.owner === owner && balance.mint !== mint);
+    received = balanceOf(meta.postTokenBalances) - balanceOf(meta.preTokenBalances);
+    decimals = request.decimals;
+    if (received <= 0n && paidElsewhere) throw new Error('The payment was made in a different token');
+  } else {
+    const index = accountKeys.findIndex((key) => key.equals(request.recipient));
+    if (index === -1) throw new Error('The payment was not sent to this wallet');
+    received = BigInt(meta.postBalances[index]) - BigInt(meta.preBalances[index]);
+    decimals = 9;
+  }
+
+  if (received <= 0n) throw new Error('Nothing was received');
+  if (request.amount) {
+    const expected = parseAmount(request.amount, decimals);
+    if (received < expected) {
+      throw new Error(`Received ${formatAmount(received, decimals)}, expected ${formatAmount(expected, decimals)}`);
+    }
+  }
+  return { received, decimals, payer: accountKeys[0] };
+}
+
+/**
+ * Looks for the payment of a transfer request by its reference key, and validates it once found.
+ * @async
+ * @param {Object} request - The transfer request, see createPaymentRequest
+ * @returns {Promise<{signature: string, received: bigint, decimals: number, payer: PublicKey}|null>} The payment,
+ * or null if it has not been made yet
+ * @throws {Error} If a payment was found but does not match the request
+ */
+export async function checkPayment(request) {
+  try {
+    const signature = await findReference(request.references[0]);
+    if (!signature) return null;
+    const transaction = await getConnection().getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!transaction) return null;
+    return { signature, ...validatePayment(transaction, request) };
+  } catch (error) {
+    throw new Error(`Payment check failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * @module subscriptions
+ * @description Keeps the app up to date with a wallet's on-chain activity.
+ * Balance changes and new transactions are pushed over WebSocket subscriptions on the active connection. When the
+ * cluster's WebSocket endpoint cannot be reached, the same callbacks are driven by polling instead.
+ */
+
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { getConnection, getWebSocketEndpoint } from './connection.js';
+
+/**
+ * How often accounts are polled when WebSockets are unavailable, in milliseconds.
+ * @constant {number}
+ */
+export const POLL_INTERVAL = 15000;
+
+const PROBE_TIMEOUT = 5000;
+const probes = new Map();
+
+/**
+ * Checks once per URL whether a WebSocket connection can be opened.
+ * @param {string} url - The WebSocket URL
+ * @returns {Promise<boolean>} Whether the socket opened before the timeout
+ */
+function probeWebSocket(url) {
+  if (typeof WebSocket === 'undefined') return Promise.resolve(false);
+  if (!probes.has(url)) {
+    probes.set(url, new Promise((resolve) => {
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch {
+        resolve(false);
+        return;
+      }
+      let timer;
+      const finish = (isOpen) => {
+        clearTimeout(timer);
+        socket.onopen = null;
+        socket.onerror = null;
+        socket.close();
+        resolve(isOpen);
+      };
+      timer = setTimeout(() => finish(false), PROBE_TIMEOUT);
+      socket.onopen = () => finish(true);
+      socket.onerror = () => finish(false);
+    }));
+  }
+  return probes.get(url);
+}
+
+/**
+ * Subscribes to a wallet and its token accounts over the connection's WebSocket.
+ * Activity is reported once the transaction is confirmed, so a history fetch made in response includes it.
+ * @param {Connection} connection - The connection to subscribe on
+ * @param {PublicKey} owner - The wallet address
+ * @param {Array<PublicKey>} tokenAccounts - The token accounts to watch
+ * @param {Object} handlers - See watchWallet
+ * @returns {Function} Removes every subscription
+ */
+function subscribe(connection, owner, tokenAccounts, { onSolBalance, onTokenAccountChange, onActivity }) {
+  const accountIds = [
+    connection.onAccountChange(owner, ({ lamports }) => onSolBalance(lamports / LAMPORTS_PER_SOL)),
+    ...tokenAccounts.map((address) => connection.onAccountChange(address, () => onTokenAccountChange(address))),
+  ];
+  const signatureIds = new Set();
+  const logsId = connection.onLogs(owner, ({ signature }) => {
+    const id = connection.onSignature(signature, () => {
+      signatureIds.delete(id);
+      onActivity(signature);
+    }, 'confirmed');
+    signatureIds.add(id);
+  });
+
+  return () => {
+    accountIds.forEach((id) => connection.removeAccountChangeListener(id).catch(() => null));
+    connection.removeOnLogsListener(logsId).catch(() => null);
+    signatureIds.forEach((id) => connection.removeSignatureListener(id).catch(() => null));
+  };
+}
+
+/**
+ * Polls a wallet and its token accounts and reports the changes since the previous poll.
+ * @param {Connection} connection - The connection to poll
+ * @param {PublicKey} owner - The wallet address
+ * @param {Array<PublicKey>} tokenAccounts - The token accounts to watch
+ * @param {Object} handlers - See watchWallet
+ * @returns {Function} Stops polling
+ */
+function poll(connection, owner, tokenAccounts, { onSolBalance, onTokenAccountChange, onActivity }) {
+  let previous = null;
+  let latestSignature;
+
+  const check = async () => {
+    try {
+      const accounts = await connection.getMultipleAccountsInfo([owner, ...tokenAccounts]);
+      const fingerprints = accounts.map((account) => (account
+        ? `${account.lamports}:${account.data.toString('base64')}`
+        : ''));
+      if (previous) {
+        if (fingerprints[0] !== previous[0]) {
+          onSolBalance((accounts[0] ? accounts[0].lamports : 0) / LAMPORTS_PER_SOL);
+        }
+        tokenAccounts.forEach((address, index) => {
+          if (fingerprints[index + 1] !== previous[index + 1]) onTokenAccountChange(address);
+        });
+      }
+      previous = fingerprints;
+
+      const [latest] = await connection.getSignaturesForAddress(owner, { limit: 1 }, 'confirmed');
+      const signature = latest ? latest.signature : null;
+      if (latestSignature !== undefined && signature !== latestSignature) onActivity(signature);
+      latestSignature = signature;
+    } catch (error) {
+      console.error('Polling failed:', error);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, POLL_INTERVAL);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Watches a wallet's SOL balance, its token accounts and its transactions on the active cluster.
+ * WebSocket subscriptions are used when the cluster's WebSocket endpoint is reachable, polling otherwise.
+ * The returned function must be called on disconnect or cluster switch.
+ * @param {string|PublicKey} owner - The wallet address
+ * @param {Array<string|PublicKey>} tokenAccounts - The token accounts to watch
+ * @param {Object} handlers
+ * @param {Function} handlers.onSolBalance - Called with the new SOL balance
+ * @param {Function} handlers.onTokenAccountChange - Called with the address of a token account that changed
+ * @param {Function} handlers.onActivity - Called with the signature of a new transaction involving the wallet,
+ * or null if it is not known
+ * @param {Function} [handlers.onModeChange] - Called with 'websocket' or 'polling' once the mode is known
+ * @returns {Function} Stops watching
+ */
+export function watchWallet(owner, tokenAccounts, handlers) {
+  const connection = getConnection();
+  const ownerKey = new PublicKey(owner);
+  const accountKeys = tokenAccounts.map((address) => new PublicKey(address));
+  let stop = null;
+  let isStopped = false;
+
+  probeWebSocket(getWebSocketEndpoint()).then((isAvailable) => {
+    if (isStopped) return;
+    stop = isAvailable
+      ? subscribe(connection, ownerKey, accountKeys, handlers)
+      : poll(connection, ownerKey, accountKeys, handlers);
+    if (handlers.onModeChange) handlers.onModeChange(isAvailable ? 'websocket' : 'polling');
+  });
+
+  return () => {
+    isStopped = true;
+    if (stop) stop();
+  };
+}
@@ -1,143 +1,1035 @@
 /**
  * @module token
- * @description Provides functionality for creating, minting, and managing Solana tokens using the SPL Token program.
- * This module handles token creation, minting new tokens, transferring tokens between accounts, and checking token balances.
+ * @description Provides functionality for creating, minting, and managing Solana tokens using the SPL Token and
+ * Token-2022 programs.
+ * This module handles token creation, minting new tokens, transferring and burning tokens, closing empty token
+ * accounts to reclaim their rent, managing mint and freeze authorities, freezing and thawing token accounts,
+ * checking token balances, and describing the Token-2022 extensions enabled on a mint. Creating, minting,
+ * transferring and burning can be estimated first, so the user sees the fees and rent before signing.
  */
 
-import { createMint, getOrCreateAssociatedTokenAccount, mintTo, transfer } from '@solana/spl-token';
-import { Keypair, PublicKey } from '@solana/web3.js';
-import { connection } from './connection.js';
+import {
+  ACCOUNT_SIZE,
+  AuthorityType,
+  ExtensionType,
+  LENGTH_SIZE,
+  MULTISIG_SIZE,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TYPE_SIZE,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createBurnCheckedInstruction,
+  createCloseAccountInstruction,
+  createFreezeAccountInstruction,
+  createInitializeInstruction,
+  createInitializeInterestBearingMintInstruction,
+  createInitializeMetadataPointerInstruction,
+  createInitializeMint2Instruction,
+  createInitializeNonTransferableMintInstruction,
+  createInitializeTransferFeeConfigInstruction,
+  createMintToCheckedInstruction,
+  createSetAuthorityInstruction,
+  createThawAccountInstruction,
+  createTransferCheckedInstruction,
+  getAccount,
+  getAccountLen,
+  getAccountTypeOfMintType,
+  getAssociatedTokenAddressSync,
+  getExtensionTypes,
+  getInterestBearingMintConfigState,
+  getMetadataPointerState,
+  getMintLen,
+  getTransferFeeAmount,
+  getTransferFeeConfig,
+  unpackAccount,
+  unpackMint
+} from '@solana/spl-token';
+import { pack } from '@solana/spl-token-metadata';
+import { Keypair, PublicKey, SystemProgram } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+import { estimateTransactionCost, sendWalletTransaction, withPaymentDetails } from './transaction.js';
+import { formatAmount, parseAmount } from './amount.js';
+import {
+  METADATA_ACCOUNT_SIZE,
+  METADATA_CREATION_FEE,
+  createMetadataInstruction,
+  validateMetadata
+} from './metadata.js';
 
 /**
- * Creates a new SPL token with a generated mint address.
+ * The token programs a mint can be created under.
+ * @constant {Object<string, {name: string, label: string, programId: PublicKey}>}
+ */
+export const TOKEN_PROGRAMS = {
+  token: { name: 'token', label: 'SPL Token', programId: TOKEN_PROGRAM_ID },
+  'token-2022': { name: 'token-2022', label: 'Token-2022', programId: TOKEN_2022_PROGRAM_ID },
+};
+
+// Close instructions per transaction; each one adds a single account key, so this stays well under the size limit
+const CLOSE_BATCH_SIZE = 20;
+
+/**
+ * Describes the Token-2022 extensions enabled on a mint.
+ * @param {Object} mintInfo - The unpacked mint
+ * @returns {Array<{type: number, name: string, description: string}>} One entry per extension
+ */
+function describeExtensions(mintInfo) {
+  return getExtensionTypes(mintInfo.tlvData).map((type) => {
+    const name = ExtensionType[type].replace(/([a-z])([A-Z])/g, '$1 $2');
+    let description = name;
+    if (type === ExtensionType.TransferFeeConfig) {
+      const { newerTransferFee } = getTransferFeeConfig(mintInfo);
+      description = `Transfer fee ${newerTransferFee.transferFeeBasisPoints / 100}%, `
+        + `max ${formatAmount(newerTransferFee.maximumFee, mintInfo.decimals)}`;
+    } else if (type === ExtensionType.InterestBearingConfig) {
+      description = `Interest ${getInterestBearingMintConfigState(mintInfo).currentRate / 100}% APR`;
+    } else if (type === ExtensionType.MetadataPointer) {
+      const { metadataAddress } = getMetadataPointerState(mintInfo);
+      description = metadataAddress && metadataAddress.equals(mintInfo.address)
+        ? 'Metadata stored on the mint'
+        : `Metadata at ${metadataAddress ? `${metadataAddress.toBase58().slice(0, 12)}...` : 'none'}`;
+    } else if (type === ExtensionType.TokenMetadata) {
+      description = 'Token metadata';
+    } else if (type === ExtensionType.NonTransferable) {
+      description = 'Non-transferable';
+    }
+    return { type, name, description };
+  });
+}
+
+/**
+ * Works out the rent deposit for a new associated token account of a mint.
+ * Token-2022 accounts grow with the account extensions their mint requires and are always immutably owned.
  * @async
- * @param {Object} provider - The wallet provider (e.g., Phantom wallet)
- * @param {boolean} provider.isConnected - Whether the wallet is connected
- * @param {PublicKey} provider.publicKey - The public key of the wallet
- * @param {Function} provider.signTransaction - Function to sign transactions
- * @returns {Promise<{mint: PublicKey, tokenAccount: Object}>} The created mint address and associated token account
- * @throws {Error} If provider is undefined, wallet not connected, or transaction fails
+ * @param {PublicKey} programId - The token program that owns the mint
+ * @param {Array<number>} [mintExtensionTypes] - The ExtensionType of every extension enabled on the mint
+ * @returns {Promise<number>} The rent-exempt minimum in lamports
+ */
+export async function getTokenAccountRent(programId, mintExtensionTypes = []) {
+  const size = programId.equals(TOKEN_2022_PROGRAM_ID)
+    ? getAccountLen([
+      ...mintExtensionTypes.map(getAccountTypeOfMintType).filter((type) => type !== ExtensionType.Uninitialized),
+      ExtensionType.ImmutableOwner,
+    ])
+    : ACCOUNT_SIZE;
+  return getConnection().getMinimumBalanceForRentExemption(size);
+}
+
+/**
+ * Loads a mint and works out which token program owns it.
+ * @async
+ * @param {string|PublicKey} mint - The mint address
+ * @returns {Promise<Object>} The unpacked mint (decimals, supply, authorities) with its `programId` and
+ * described `extensions`
+ * @throws {Error} If the address is invalid, the account does not exist, is not owned by a token program, or is
+ * not a mint
  */
-export async function createNewToken(provider) {
+export async function getMintInfo(mint) {
+  let address;
   try {
-    if (!provider) throw new Error('Provider is undefined');
-    if (!provider.isConnected) throw new Error('Wallet not connected');
-    if (!provider.publicKey) throw new Error('Public key is undefined');
-    if (typeof provider.signTransaction !== 'function') throw new Error('Provider cannot sign transactions');
+    address = new PublicKey(mint);
+  } catch {
+    throw new Error(`${mint} is not a valid Solana address`);
+  }
+  const account = await getConnection().getAccountInfo(address);
+  if (!account) throw new Error(`No account found at ${address.toBase58()}`);
 
-    console.log('Provider state:', {
-      isConnected: provider.isConnected,
-      publicKey: provider.publicKey.toString(),
-      canSign: typeof provider.signTransaction === 'function',
-    });
+  const program = Object.values(TOKEN_PROGRAMS).find(({ programId }) => account.owner.equals(programId));
+  if (!program) {
+    if (account.executable) throw new Error(`${address.toBase58()} is a program, not a token mint`);
+    if (account.owner.equals(SystemProgram.programId)) {
+      throw new Error(`${address.toBase58()} is a wallet address, not a token mint`);
+    }
+    throw new Error(`${address.toBase58()} is owned by ${account.owner.toBase58()}, not a token program`);
+  }
+
+  let mintInfo;
+  try {
+    mintInfo = unpackMint(address, account, program.programId);
+  } catch {
+    let tokenAccount = null;
+    try {
+      tokenAccount = unpackAccount(address, account, program.programId);
+    } catch {
+      // Neither a mint nor a token account
+    }
+    if (tokenAccount) {
+      throw new Error(`${address.toBase58()} is a token account, not a mint. Its mint is ${tokenAccount.mint.toBase58()}`);
+    }
+    throw new Error(`${address.toBase58()} is not a token mint`);
+  }
+  return { ...mintInfo, programId: program.programId, extensions: describeExtensions(mintInfo) };
+}
 
-    const mintKeypair = Keypair.generate();
-    const payer = provider.publicKey;
+/**
+ * Finds the token account an owner holds for a mint.
+ * The associated token account is preferred; otherwise any other account of the owner for the mint is used.
+ * @async
+ * @param {PublicKey} mint - The mint address
+ * @param {PublicKey} owner - The wallet address
+ * @param {PublicKey} programId - The token program that owns the mint
+ * @returns {Promise<{address: PublicKey, exists: boolean}>} The token account, or the associated token account
+ * address with `exists: false` when the owner has none yet
+ */
+export async function findTokenAccount(mint, owner, programId) {
+  const connection = getConnection();
+  const associated = getAssociatedTokenAddressSync(mint, owner, false, programId);
+  if (await connection.getAccountInfo(associated)) return { address: associated, exists: true };
 
-    console.log('Mint keypair:', mintKeypair.publicKey.toBase58());
-    console.log('Payer:', payer.toBase58());
+  const { value } = await connection.getTokenAccountsByOwner(owner, { mint });
+  return value.length > 0
+    ? { address: value[0].pubkey, exists: true }
+    : { address: associated, exists: false };
+}
 
-    const mint = await createMint(
-      connection,
-      provider, // Signs the transaction
-      payer,    // Mint authority
-      null,     // Freeze authority
-      9         // Decimals
-    );
+/**
+ * Looks up an existing mint so it can be imported as the active token.
+ * @async
+ * @param {string} mint - The mint address
+ * @param {string|PublicKey} owner - The connected wallet
+ * @param {string} [program] - 'token' or 'token-2022' to require a specific token program, any when omitted
+ * @returns {Promise<{mintInfo: Object, tokenAccount: {address: PublicKey, exists: boolean}}>} The mint info from
+ * getMintInfo and the wallet's token account for it
+ * @throws {Error} If the address is not a mint or belongs to a different token program than requested
+ */
+export async function lookupToken(mint, owner, program) {
+  try {
+    const mintInfo = await getMintInfo(mint.trim());
+    const expected = program && TOKEN_PROGRAMS[program];
+    if (expected && !mintInfo.programId.equals(expected.programId)) {
+      const actual = Object.values(TOKEN_PROGRAMS).find(({ programId }) => programId.equals(mintInfo.programId));
+      throw new Error(`This is a ${actual.label} mint, not a ${expected.label} mint`);
+    }
+    const tokenAccount = await findTokenAccount(mintInfo.address, new PublicKey(owner), mintInfo.programId);
+    return { mintInfo, tokenAccount };
+  } catch (error) {
+    throw new Error(`Token lookup failed: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the wallet's associated token account for a mint. Nothing is created if it already exists.
+ * @async
+ * @param {Object} provider - The wallet adapter, which pays for and owns the account
+ * @param {PublicKey} mint - The mint address
+ * @param {PublicKey} programId - The token program that owns the mint
+ * @returns {Promise<PublicKey>} The associated token account address
+ * @throws {Error} If the transaction fails or wallet not connected
+ */
+export async function createTokenAccount(provider, mint, programId) {
+  try {
+    const address = getAssociatedTokenAddressSync(mint, provider.publicKey, false, programId);
+    await sendWalletTransaction(provider, [
+      createAssociatedTokenAccountIdempotentInstruction(provider.publicKey, address, provider.publicKey, mint, programId),
+    ], [], { label: 'Create token account' });
+    return address;
+  } catch (error) {
+    throw new Error(`Token account creation failed: ${error.message}`);
+  }
+}
 
-    console.log('Mint created:', mint.toBase58());
+/**
+ * Validates the options for a new token and builds its creation transaction without sending it.
+ * @async
+ * @param {Object} provider - The wallet adapter, which pays for and initially controls the mint
+ * @param {Object} options - See createNewToken
+ * @returns {Promise<{instructions: Array<TransactionInstruction>, signers: Array<Keypair>,
+ * charges: Array<{label: string, lamports: number}>, mint: PublicKey, tokenAccountAddress: PublicKey,
+ * programId: PublicKey}>} The instructions and generated mint keypair, the rent and charges they take from the
+ * wallet, and the addresses they create
+ * @throws {Error} If provider is undefined, wallet not connected or an option is invalid
+ */
+async function prepareCreateToken(provider, options) {
+  if (!provider) throw new Error('Provider is undefined');
+  if (!provider.isConnected) throw new Error('Wallet not connected');
+  if (!provider.publicKey) throw new Error('Public key is undefined');
 
-    const tokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      provider,
+  const {
+    program = 'token',
+    decimals = 9,
+    mintAuthority,
+    freezeAuthority,
+    initialSupply,
+    metadata,
+    extensions = {},
+  } = options;
+  if (!TOKEN_PROGRAMS[program]) throw new Error(`Unknown token program: ${program}`);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 9) {
+    throw new Error('Decimals must be a whole number from 0 to 9');
+  }
+  const { transferFee, interestRate, nonTransferable } = extensions;
+  const isToken2022 = program === 'token-2022';
+  if (!isToken2022 && (transferFee || interestRate || nonTransferable)) {
+    throw new Error('Extensions require the Token-2022 program');
+  }
+  if (transferFee && (!Number.isInteger(transferFee.basisPoints) || transferFee.basisPoints < 0
+    || transferFee.basisPoints > 10000)) {
+    throw new Error('Transfer fee must be from 0 to 10000 basis points');
+  }
+  if (interestRate !== undefined && (!Number.isInteger(interestRate) || Math.abs(interestRate) > 32767)) {
+    throw new Error('Interest rate must be a whole number of basis points');
+  }
+  // Embedded Token-2022 metadata is held to the same length limits as a Metaplex account, before anything is built
+  if (metadata) validateMetadata(metadata);
+
+  const { programId } = TOKEN_PROGRAMS[program];
+  const payer = provider.publicKey;
+  const finalMintAuthority = mintAuthority ? new PublicKey(mintAuthority) : payer;
+  const freezeAuthorityKey = freezeAuthority ? new PublicKey(freezeAuthority) : null;
+  const supply = initialSupply ? parseAmount(initialSupply, decimals) : 0n;
+
+  const connection = getConnection();
+  // An authority owned by a token program must be a multisig of the mint's own program
+  const authorities = [finalMintAuthority, freezeAuthorityKey].filter(Boolean);
+  const authorityAccounts = await connection.getMultipleAccountsInfo(authorities);
+  authorityAccounts.forEach((account, index) => {
+    const owner = account && Object.values(TOKEN_PROGRAMS).find(({ programId: id }) => account.owner.equals(id));
+    if (!owner) return;
+    const address = authorities[index].toBase58();
+    if (account.data.length !== MULTISIG_SIZE) {
+      throw new Error(`${address} is a token account or mint, not a wallet or multisig`);
+    }
+    if (!owner.programId.equals(programId)) {
+      throw new Error(`${address} is a ${owner.label} multisig and cannot be an authority of a ${TOKEN_PROGRAMS[program].label} mint`);
+    }
+  });
+
+  const mintKeypair = Keypair.generate();
+  const mint = mintKeypair.publicKey;
+  const tokenAccountAddress = getAssociatedTokenAddressSync(mint, payer, false, programId);
+  const handOverAuthority = (supply > 0n || Boolean(metadata)) && !finalMintAuthority.equals(payer);
+  const initialMintAuthority = handOverAuthority ? payer : finalMintAuthority;
+
+  // Extensions are initialized before the mint itself; embedded metadata is written after it
+  const extensionTypes = [];
+  const extensionInstructions = [];
+  if (transferFee) {
+    extensionTypes.push(ExtensionType.TransferFeeConfig);
+    extensionInstructions.push(createInitializeTransferFeeConfigInstruction(
+      mint,
+      payer, // Transfer fee config authority
+      payer, // Withdraw withheld authority
+      transferFee.basisPoints,
+      parseAmount(transferFee.maximumFee || '0', decimals),
+      programId
+    ));
+  }
+  if (interestRate !== undefined) {
+    extensionTypes.push(ExtensionType.InterestBearingConfig);
+    extensionInstructions.push(createInitializeInterestBearingMintInstruction(mint, payer, interestRate, programId));
+  }
+  if (nonTransferable) {
+    extensionTypes.push(ExtensionType.NonTransferable);
+    extensionInstructions.push(createInitializeNonTransferableMintInstruction(mint, programId));
+  }
+  if (isToken2022 && metadata) {
+    extensionTypes.push(ExtensionType.MetadataPointer);
+    extensionInstructions.push(createInitializeMetadataPointerInstruction(mint, payer, mint, programId));
+  }
+
+  const space = getMintLen(extensionTypes);
+  const metadataSpace = isToken2022 && metadata
+    ? TYPE_SIZE + LENGTH_SIZE + pack({ ...metadata, mint, updateAuthority: payer, additionalMetadata: [] }).length
+    : 0;
+  const [lamports, tokenAccountRent, metadataAccountRent] = await Promise.all([
+    connection.getMinimumBalanceForRentExemption(space + metadataSpace),
+    getTokenAccountRent(programId, extensionTypes),
+    metadata && !isToken2022 ? connection.getMinimumBalanceForRentExemption(METADATA_ACCOUNT_SIZE) : 0,
+  ]);
+
+  const instructions = [
+    SystemProgram.createAccount({
+      fromPubkey: payer,
+      newAccountPubkey: mint,
+      space,
+      lamports,
+      programId,
+    }),
+    ...extensionInstructions,
+    createInitializeMint2Instruction(mint, decimals, initialMintAuthority, freezeAuthorityKey, programId),
+  ];
+  if (metadata && isToken2022) {
+    instructions.push(createInitializeInstruction({
+      programId,
+      metadata: mint,
+      updateAuthority: payer,
+      mint,
+      mintAuthority: initialMintAuthority,
+      name: metadata.name,
+      symbol: metadata.symbol || '',
+      uri: metadata.uri || '',
+    }));
+  } else if (metadata) {
+    instructions.push(createMetadataInstruction({
       mint,
-      payer
+      mintAuthority: initialMintAuthority,
+      payer,
+      updateAuthority: payer,
+      ...metadata,
+    }));
+  }
+  instructions.push(
+    createAssociatedTokenAccountIdempotentInstruction(payer, tokenAccountAddress, payer, mint, programId)
+  );
+  if (supply > 0n) {
+    instructions.push(
+      createMintToCheckedInstruction(mint, tokenAccountAddress, payer, supply, decimals, [], programId)
+    );
+  }
+  if (handOverAuthority) {
+    instructions.push(
+      createSetAuthorityInstruction(mint, payer, AuthorityType.MintTokens, finalMintAuthority, [], programId)
+    );
+  }
+
+  const charges = [
+    { label: 'Mint account rent', lamports },
+    { label: 'Token account rent', lamports: tokenAccountRent },
+  ];
+  if (metadata && !isToken2022) {
+    charges.push(
+      { label: 'Metadata account rent', lamports: metadataAccountRent },
+      { label: 'Metaplex creation fee', lamports: METADATA_CREATION_FEE }
     );
+  }
+
+  return { instructions, signers: [mintKeypair], charges, mint, tokenAccountAddress, programId };
+}
 
-    console.log('Token account:', tokenAccount.address.toBase58());
+/**
+ * Estimates what creating a token with the given options will cost the wallet.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {Object} [options] - See createNewToken
+ * @returns {Promise<Object>} The estimate from estimateTransactionCost, including the rent for the mint, token
+ * account and metadata
+ * @throws {Error} If an option is invalid or the fee cannot be determined
+ */
+export async function estimateCreateToken(provider, options = {}) {
+  try {
+    const { instructions, signers, charges } = await prepareCreateToken(provider, options);
+    return await estimateTransactionCost(provider, instructions, signers, { charges });
+  } catch (error) {
+    throw new Error(`Cost estimate failed: ${error.message}`);
+  }
+}
 
+/**
+ * Creates a new token with a generated mint address.
+ * The mint account, its initialization, the creator's associated token account and the optional initial supply
+ * and metadata are set up in a single transaction, signed by the generated mint keypair and the wallet. When a
+ * separate mint authority is given together with an initial supply or metadata, the wallet mints the supply and
+ * creates the metadata first, then hands the mint authority over in the same transaction.
+ * Token-2022 mints store their metadata on the mint itself; classic mints use a Metaplex metadata account.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry (e.g., Phantom, Solflare, Backpack)
+ * @param {boolean} provider.isConnected - Whether the wallet is connected
+ * @param {PublicKey} provider.publicKey - The public key of the wallet
+ * @param {Function} provider.signTransaction - Function to sign transactions
+ * @param {Object} [options]
+ * @param {string} [options.program='token'] - 'token' or 'token-2022'
+ * @param {number} [options.decimals=9] - The number of decimals, from 0 to 9
+ * @param {string|PublicKey} [options.mintAuthority] - The mint authority, the wallet when omitted. It can be a
+ * multisig from the multisig module, under the same token program
+ * @param {string|PublicKey} [options.freezeAuthority] - The freeze authority, none when omitted. It can also be a
+ * multisig
+ * @param {string} [options.initialSupply] - The supply to mint to the creator, as a decimal string
+ * @param {{name: string, symbol: string, uri: string}} [options.metadata] - Token metadata, with the wallet
+ * as update authority
+ * @param {Object} [options.extensions] - Token-2022 extensions, controlled by the wallet
+ * @param {{basisPoints: number, maximumFee: string}} [options.extensions.transferFee] - Fee withheld on every
+ * transfer, with the maximum as a decimal string
+ * @param {number} [options.extensions.interestRate] - Interest rate in basis points
+ * @param {boolean} [options.extensions.nonTransferable] - Whether holders are prevented from transferring
+ * @returns {Promise<{mint: PublicKey, tokenAccount: Object}>} The created mint address and associated token account
+ * @throws {Error} If provider is undefined, wallet not connected, an option is invalid, or transaction fails
+ */
+export async function createNewToken(provider, options = {}) {
+  try {
+    const { instructions, signers, mint, tokenAccountAddress, programId } = await prepareCreateToken(
+      provider,
+      options
+    );
+    await sendWalletTransaction(provider, instructions, signers, { label: 'Create token' });
+    const tokenAccount = await getAccount(getConnection(), tokenAccountAddress, undefined, programId);
     return { mint, tokenAccount };
   } catch (error) {
-    console.error('Token creation error:', error);
-    throw error;
+    throw new Error(`Token creation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the transaction that mints tokens to a token account without sending it.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the mint authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} tokenAccount - The token account to mint to
+ * @param {string} amount - The amount of tokens to mint, as a decimal string
+ * @returns {Promise<{instructions: Array<TransactionInstruction>}>} The instructions
+ * @throws {Error} If the amount is invalid
+ */
+async function prepareMintTokens(provider, mint, tokenAccount, amount) {
+  const { decimals, programId } = await getMintInfo(mint);
+  const baseUnits = parseAmount(amount, decimals);
+  if (baseUnits <= 0n) throw new Error('Amount must be greater than 0');
+
+  return {
+    instructions: [
+      createMintToCheckedInstruction(
+        mint,
+        tokenAccount.address,
+        provider.publicKey, // Mint authority
+        baseUnits,
+        decimals,
+        [],
+        programId
+      ),
+    ],
+  };
+}
+
+/**
+ * Estimates what minting tokens will cost the wallet.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the mint authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} tokenAccount - The token account to mint to
+ * @param {string} amount - The amount of tokens to mint, as a decimal string
+ * @returns {Promise<Object>} The estimate from estimateTransactionCost
+ * @throws {Error} If the amount is invalid or the fee cannot be determined
+ */
+export async function estimateMintTokens(provider, mint, tokenAccount, amount) {
+  try {
+    const { instructions } = await prepareMintTokens(provider, mint, tokenAccount, amount);
+    return await estimateTransactionCost(provider, instructions);
+  } catch (error) {
+    throw new Error(`Cost estimate failed: ${error.message}`);
   }
 }
 
 /**
  * Mints specified amount of tokens to a token account.
+ * The amount is converted using the mint's real decimals, and the instruction carries those decimals so a
+ * mismatch is rejected on-chain.
  * @async
- * @param {Object} provider - The wallet provider
+ * @param {Object} provider - The wallet adapter, which must hold the mint authority
  * @param {PublicKey} mint - The mint address of the token
  * @param {Object} tokenAccount - The token account to mint to
- * @param {number} amount - The amount of tokens to mint
+ * @param {string} amount - The amount of tokens to mint, as a decimal string
  * @returns {Promise<string>} Transaction signature
- * @throws {Error} If minting fails or wallet not connected
+ * @throws {Error} If the amount is invalid, minting fails or wallet not connected
  */
 export async function mintTokens(provider, mint, tokenAccount, amount) {
   try {
-    if (!provider.isConnected) throw new Error('Wallet not connected');
-    if (!provider.publicKey) throw new Error('Public key is undefined');
-    const transactionSignature = await mintTo(
-      connection,
+    const { instructions } = await prepareMintTokens(provider, mint, tokenAccount, amount);
+    return await sendWalletTransaction(provider, instructions, [], { label: 'Mint tokens' });
+  } catch (error) {
+    throw new Error(`Minting failed: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the transaction that transfers tokens without sending it.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the source token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} sourceTokenAccount - The source token account
+ * @param {string} destinationAddress - The recipient's wallet address
+ * @param {string} amount - The amount of tokens to transfer, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
+ * @returns {Promise<{instructions: Array<TransactionInstruction>, charges: Array<{label: string, lamports: number}>}>}
+ * The instructions, and the rent for the recipient's token account when it has to be created
+ * @throws {Error} If the amount is invalid or exceeds the balance, or the token is non-transferable
+ */
+async function prepareSendTokens(provider, mint, sourceTokenAccount, destinationAddress, amount, payment = {}) {
+  const connection = getConnection();
+  const destinationOwner = new PublicKey(destinationAddress);
+  const mintInfo = await getMintInfo(mint);
+  const { decimals, programId } = mintInfo;
+  if (mintInfo.extensions.some(({ type }) => type === ExtensionType.NonTransferable)) {
+    throw new Error('This token is non-transferable');
+  }
+  const destinationTokenAccount = getAssociatedTokenAddressSync(mint, destinationOwner, false, programId);
+  const [source, destinationAccount] = await Promise.all([
+    getAccount(connection, sourceTokenAccount.address, undefined, programId),
+    connection.getAccountInfo(destinationTokenAccount),
+  ]);
+  const baseUnits = parseAmount(amount, decimals);
+  if (baseUnits <= 0n) throw new Error('Amount must be greater than 0');
+  if (baseUnits > source.amount) {
+    throw new Error(`Insufficient balance: ${formatAmount(source.amount, decimals)} available`);
+  }
+
+  const charges = destinationAccount
+    ? []
+    : [{
+      label: 'Recipient token account rent',
+      lamports: await getTokenAccountRent(programId, mintInfo.extensions.map(({ type }) => type)),
+    }];
+
+  return {
+    instructions: [
+      createAssociatedTokenAccountIdempotentInstruction(
+        provider.publicKey,
+        destinationTokenAccount,
+        destinationOwner,
+        mint,
+        programId
+      ),
+      ...withPaymentDetails(createTransferCheckedInstruction(
+        sourceTokenAccount.address,
+        mint,
+        destinationTokenAccount,
+        provider.publicKey, // Owner of the source account
+        baseUnits,
+        decimals,
+        [],
+        programId
+      ), payment),
+    ],
+    charges,
+  };
+}
+
+/**
+ * Estimates what transferring tokens will cost the wallet, including the rent for the recipient's token account
+ * when they do not have one yet.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the source token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} sourceTokenAccount - The source token account
+ * @param {string} destinationAddress - The recipient's wallet address
+ * @param {string} amount - The amount of tokens to transfer, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
+ * @returns {Promise<Object>} The estimate from estimateTransactionCost
+ * @throws {Error} If the amount is invalid or exceeds the balance, or the fee cannot be determined
+ */
+export async function estimateSendTokens(provider, mint, sourceTokenAccount, destinationAddress, amount, payment = {}) {
+  try {
+    const { instructions, charges } = await prepareSendTokens(
       provider,
       mint,
-      tokenAccount.address,
-      provider.publicKey,
-      amount * 1e9
+      sourceTokenAccount,
+      destinationAddress,
+      amount,
+      payment
     );
-    return transactionSignature;
+    return await estimateTransactionCost(provider, instructions, [], { charges });
   } catch (error) {
-    throw new Error(`Minting failed: ${error.message}`);
+    throw new Error(`Cost estimate failed: ${error.message}`);
   }
 }
 
 /**
  * Transfers tokens from one account to another.
+ * The recipient's associated token account is created in the same transaction if it does not exist yet.
  * @async
- * @param {Object} provider - The wallet provider
+ * @param {Object} provider - The wallet adapter, which must own the source token account
  * @param {PublicKey} mint - The mint address of the token
  * @param {Object} sourceTokenAccount - The source token account
  * @param {string} destinationAddress - The recipient's wallet address
- * @param {number} amount - The amount of tokens to transfer
+ * @param {string} amount - The amount of tokens to transfer, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
  * @returns {Promise<string>} Transaction signature
- * @throws {Error} If transfer fails or wallet not connected
+ * @throws {Error} If the amount is invalid or exceeds the balance, transfer fails or wallet not connected
  */
-export async function sendTokens(provider, mint, sourceTokenAccount, destinationAddress, amount) {
+export async function sendTokens(provider, mint, sourceTokenAccount, destinationAddress, amount, payment = {}) {
   try {
-    if (!provider.isConnected) throw new Error('Wallet not connected');
-    if (!provider.publicKey) throw new Error('Public key is undefined');
-    const destinationTokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
+    const { instructions } = await prepareSendTokens(
       provider,
       mint,
-      new PublicKey(destinationAddress)
+      sourceTokenAccount,
+      destinationAddress,
+      amount,
+      payment
     );
-    const transactionSignature = await transfer(
-      connection,
+    return await sendWalletTransaction(provider, instructions, [], { label: 'Send tokens' });
+  } catch (error) {
+    throw new Error(`Transfer failed: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the transaction that burns tokens without sending it.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} tokenAccount - The token account to burn from
+ * @param {string} amount - The amount of tokens to burn, as a decimal string
+ * @returns {Promise<{instructions: Array<TransactionInstruction>}>} The instructions
+ * @throws {Error} If the amount is invalid or exceeds the balance
+ */
+async function prepareBurnTokens(provider, mint, tokenAccount, amount) {
+  const { decimals, programId } = await getMintInfo(mint);
+  const baseUnits = parseAmount(amount, decimals);
+  if (baseUnits <= 0n) throw new Error('Amount must be greater than 0');
+  const account = await getAccount(getConnection(), tokenAccount.address, undefined, programId);
+  if (baseUnits > account.amount) {
+    throw new Error(`Insufficient balance: ${formatAmount(account.amount, decimals)} available`);
+  }
+
+  return {
+    instructions: [
+      createBurnCheckedInstruction(
+        tokenAccount.address,
+        mint,
+        provider.publicKey, // Owner of the token account
+        baseUnits,
+        decimals,
+        [],
+        programId
+      ),
+    ],
+  };
+}
+
+/**
+ * Estimates what burning tokens will cost the wallet.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} tokenAccount - The token account to burn from
+ * @param {string} amount - The amount of tokens to burn, as a decimal string
+ * @returns {Promise<Object>} The estimate from estimateTransactionCost
+ * @throws {Error} If the amount is invalid or exceeds the balance, or the fee cannot be determined
+ */
+export async function estimateBurnTokens(provider, mint, tokenAccount, amount) {
+  try {
+    const { instructions } = await prepareBurnTokens(provider, mint, tokenAccount, amount);
+    return await estimateTransactionCost(provider, instructions);
+  } catch (error) {
+    throw new Error(`Cost estimate failed: ${error.message}`);
+  }
+}
+
+/**
+ * Burns tokens from a token account, removing them from the mint's supply.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token account
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {Object} tokenAccount - The token account to burn from
+ * @param {string} amount - The amount of tokens to burn, as a decimal string
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the amount is invalid or exceeds the balance, burning fails or wallet not connected
+ */
+export async function burnTokens(provider, mint, tokenAccount, amount) {
+  try {
+    const { instructions } = await prepareBurnTokens(provider, mint, tokenAccount, amount);
+    return await sendWalletTransaction(provider, instructions, [], { label: 'Burn tokens' });
+  } catch (error) {
+    throw new Error(`Burn failed: ${error.message}`);
+  }
+}
+
+/**
+ * Explains why a token account cannot be closed by a wallet.
+ * @param {Object} account - The unpacked token account
+ * @param {PublicKey} owner - The wallet that wants to close it
+ * @returns {string|null} The reason, or null when the wallet can close it
+ */
+function describeCloseBlocker(account, owner) {
+  if (account.amount > 0n && !account.isNative) return 'The account still holds tokens. Burn or send them first';
+  if (account.isFrozen) return 'The account is frozen';
+  const authority = account.closeAuthority || account.owner;
+  if (!authority.equals(owner)) return `Only ${authority.toBase58()} can close this account`;
+  const transferFeeAmount = getTransferFeeAmount(account);
+  if (transferFeeAmount && transferFeeAmount.withheldAmount > 0n) {
+    return 'The account holds withheld transfer fees that must be harvested first';
+  }
+  return null;
+}
+
+/**
+ * Lists the wallet's token accounts with a zero balance under both the SPL Token and Token-2022 programs.
+ * @async
+ * @param {string|PublicKey} owner - The public key of the wallet
+ * @returns {Promise<Array<{address: PublicKey, mint: PublicKey, programId: PublicKey, lamports: number,
+ * blocker: string|null}>>} One entry per empty account, with the rent it holds and why it cannot be closed, if it
+ * cannot
+ * @throws {Error} If the token accounts cannot be fetched
+ */
+export async function findEmptyTokenAccounts(owner) {
+  try {
+    const connection = getConnection();
+    const ownerKey = new PublicKey(owner);
+    const results = await Promise.all(Object.values(TOKEN_PROGRAMS).map(async ({ programId }) => {
+      const { value } = await connection.getTokenAccountsByOwner(ownerKey, { programId });
+      return value
+        .map(({ pubkey, account }) => ({ info: account, account: unpackAccount(pubkey, account, programId), programId }))
+        .filter(({ account }) => account.amount === 0n)
+        .map(({ info, account }) => ({
+          address: account.address,
+          mint: account.mint,
+          programId,
+          lamports: info.lamports,
+          blocker: describeCloseBlocker(account, ownerKey),
+        }));
+    }));
+    return results.flat();
+  } catch (error) {
+    throw new Error(`Failed to find empty token accounts: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the instruction that closes a token account and returns its rent to the wallet.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token account
+ * @param {PublicKey} address - The token account address
+ * @returns {Promise<{instruction: TransactionInstruction, lamports: number}>} The instruction and the rent recovered
+ * @throws {Error} If the account is not a token account or the wallet cannot close it
+ */
+async function prepareCloseTokenAccount(provider, address) {
+  const info = await getConnection().getAccountInfo(address);
+  if (!info) throw new Error(`No account found at ${address.toBase58()}`);
+  const program = Object.values(TOKEN_PROGRAMS).find(({ programId }) => info.owner.equals(programId));
+  if (!program) throw new Error(`${address.toBase58()} is not a token account`);
+  const account = unpackAccount(address, info, program.programId);
+  const blocker = describeCloseBlocker(account, provider.publicKey);
+  if (blocker) throw new Error(blocker);
+
+  return {
+    instruction: createCloseAccountInstruction(
+      address,
+      provider.publicKey, // Receives the rent
+      provider.publicKey, // Owner or close authority
+      [],
+      program.programId
+    ),
+    lamports: info.lamports,
+  };
+}
+
+/**
+ * Closes an empty token account and returns its rent to the wallet.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token account
+ * @param {Object} tokenAccount - The token account to close
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the account still holds tokens, is frozen, closing fails or wallet not connected
+ */
+export async function closeTokenAccount(provider, tokenAccount) {
+  try {
+    const { instruction } = await prepareCloseTokenAccount(provider, tokenAccount.address);
+    return await sendWalletTransaction(provider, [instruction], [], { label: 'Close token account' });
+  } catch (error) {
+    throw new Error(`Closing token account failed: ${error.message}`);
+  }
+}
+
+/**
+ * Closes many empty token accounts, CLOSE_BATCH_SIZE per transaction.
+ * Every account is checked on its own first, so one that cannot be closed is reported and skipped without holding
+ * back the others. Batches are sent one after another; a batch that fails is reported and the rest are still sent.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must own the token accounts
+ * @param {Array<PublicKey>} addresses - The token accounts to close
+ * @param {Function} [onProgress] - Called before each batch is sent with `{batch, batches, recovered}`
+ * @returns {Promise<{closed: Array<PublicKey>, failed: Array<{address: PublicKey, error: string}>, recovered: bigint}>}
+ * The accounts closed, the accounts that could not be closed and why, and the total rent recovered in lamports
+ * @throws {Error} If the wallet is not connected
+ */
+export async function closeTokenAccounts(provider, addresses, onProgress = () => {}) {
+  if (!provider.isConnected) throw new Error('Wallet not connected');
+  const result = { closed: [], failed: [], recovered: 0n };
+
+  const closable = [];
+  for (let i = 0; i < addresses.length; i += CLOSE_BATCH_SIZE) {
+    const chunk = addresses.slice(i, i + CLOSE_BATCH_SIZE);
+    const outcomes = await Promise.allSettled(chunk.map((address) => prepareCloseTokenAccount(provider, address)));
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        closable.push({ address: chunk[index], ...outcome.value });
+      } else {
+        result.failed.push({ address: chunk[index], error: outcome.reason.message });
+      }
+    });
+  }
+
+  const batches = [];
+  for (let i = 0; i < closable.length; i += CLOSE_BATCH_SIZE) batches.push(closable.slice(i, i + CLOSE_BATCH_SIZE));
+
+  for (const [index, batch] of batches.entries()) {
+    onProgress({ batch: index + 1, batches: batches.length, recovered: result.recovered });
+    try {
+      await sendWalletTransaction(provider, batch.map(({ instruction }) => instruction), [], {
+        label: `Close token accounts ${index + 1}/${batches.length}`,
+      });
+      result.closed.push(...batch.map(({ address }) => address));
+      result.recovered += batch.reduce((sum, { lamports }) => sum + BigInt(lamports), 0n);
+    } catch (error) {
+      result.failed.push(...batch.map(({ address }) => ({ address, error: error.message })));
+    }
+  }
+  return result;
+}
+
+/**
+ * The mint authorities the holder can transfer or revoke.
+ * @constant {Object<string, {label: string, type: number, field: string}>}
+ */
+export const MINT_AUTHORITIES = {
+  mint: { label: 'Mint authority', type: AuthorityType.MintTokens, field: 'mintAuthority' },
+  freeze: { label: 'Freeze authority', type: AuthorityType.FreezeAccount, field: 'freezeAuthority' },
+};
+
+/**
+ * Transfers a mint's mint or freeze authority to another address, or revokes it permanently.
+ * Revoking the mint authority fixes the supply; revoking the freeze authority means no account can be frozen again.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {string} authority - A key of MINT_AUTHORITIES
+ * @param {string|PublicKey|null} newAuthority - The new holder, or null to revoke
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the wallet does not hold the authority, the new holder is invalid, the change fails or wallet
+ * not connected
+ */
+export async function setMintAuthority(provider, mint, authority, newAuthority) {
+  try {
+    const { label, type, field } = MINT_AUTHORITIES[authority] || {};
+    if (!field) throw new Error(`Unknown authority: ${authority}`);
+    const mintInfo = await getMintInfo(mint);
+    const current = mintInfo[field];
+    if (!current) throw new Error(`${label} has already been revoked`);
+    if (!current.equals(provider.publicKey)) throw new Error(`${label} is held by ${current.toBase58()}, not this wallet`);
+
+    let next = null;
+    if (newAuthority) {
+      try {
+        next = new PublicKey(newAuthority);
+      } catch {
+        throw new Error(`${newAuthority} is not a valid Solana address`);
+      }
+      if (next.equals(current)) throw new Error(`This wallet already holds the ${label.toLowerCase()}`);
+    }
+
+    return await sendWalletTransaction(
       provider,
-      sourceTokenAccount.address,
-      destinationTokenAccount.address,
-      provider.publicKey,
-      amount * 1e9
+      [createSetAuthorityInstruction(mintInfo.address, provider.publicKey, type, next, [], mintInfo.programId)],
+      [],
+      { label: `${next ? 'Transfer' : 'Revoke'} ${label.toLowerCase()}` }
     );
-    return transactionSignature;
   } catch (error) {
-    throw new Error(`Transfer failed: ${error.message}`);
+    throw new Error(`Authority change failed: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the token account for a mint from either the account's own address or its owner's wallet address.
+ * @async
+ * @param {Object} mintInfo - The mint from getMintInfo
+ * @param {string|PublicKey} address - A token account of the mint, or a wallet holding one
+ * @returns {Promise<Object>} The unpacked token account
+ * @throws {Error} If the address is invalid, belongs to another mint or the wallet has no account for the mint
+ */
+async function resolveTokenAccount(mintInfo, address) {
+  let key;
+  try {
+    key = new PublicKey(address);
+  } catch {
+    throw new Error(`${address} is not a valid Solana address`);
+  }
+  const connection = getConnection();
+  const info = await connection.getAccountInfo(key);
+  if (info && info.owner.equals(mintInfo.programId)) {
+    const account = unpackAccount(key, info, mintInfo.programId);
+    if (!account.mint.equals(mintInfo.address)) {
+      throw new Error(`${key.toBase58()} is a token account for another mint (${account.mint.toBase58()})`);
+    }
+    return account;
+  }
+
+  // Otherwise the address is a wallet, so use its token account for the mint
+  const { address: tokenAccount, exists } = await findTokenAccount(mintInfo.address, key, mintInfo.programId);
+  if (!exists) throw new Error(`${key.toBase58()} has no token account for this mint`);
+  return getAccount(connection, tokenAccount, undefined, mintInfo.programId);
+}
+
+/**
+ * Freezes or thaws a token account with the mint's freeze authority.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the freeze authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {string|PublicKey} address - A token account of the mint, or a wallet holding one
+ * @param {boolean} frozen - Whether to freeze or thaw the account
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the wallet does not hold the freeze authority or the account is already in that state
+ */
+async function setAccountFrozen(provider, mint, address, frozen) {
+  const mintInfo = await getMintInfo(mint);
+  if (!mintInfo.freezeAuthority) throw new Error('This token has no freeze authority');
+  if (!mintInfo.freezeAuthority.equals(provider.publicKey)) {
+    throw new Error(`Freeze authority is held by ${mintInfo.freezeAuthority.toBase58()}, not this wallet`);
+  }
+  const account = await resolveTokenAccount(mintInfo, address);
+  if (account.isFrozen === frozen) {
+    throw new Error(`${account.address.toBase58()} is already ${frozen ? 'frozen' : 'thawed'}`);
+  }
+
+  const createInstruction = frozen ? createFreezeAccountInstruction : createThawAccountInstruction;
+  return sendWalletTransaction(
+    provider,
+    [createInstruction(account.address, mintInfo.address, provider.publicKey, [], mintInfo.programId)],
+    [],
+    { label: frozen ? 'Freeze token account' : 'Thaw token account' }
+  );
+}
+
+/**
+ * Freezes a token account so its tokens cannot be moved until it is thawed.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the freeze authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {string|PublicKey} address - A token account of the mint, or a wallet holding one
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the wallet does not hold the freeze authority, the account is already frozen or freezing fails
+ */
+export async function freezeTokenAccount(provider, mint, address) {
+  try {
+    return await setAccountFrozen(provider, mint, address, true);
+  } catch (error) {
+    throw new Error(`Freezing failed: ${error.message}`);
+  }
+}
+
+/**
+ * Thaws a frozen token account.
+ * @async
+ * @param {Object} provider - The wallet adapter, which must hold the freeze authority
+ * @param {PublicKey} mint - The mint address of the token
+ * @param {string|PublicKey} address - A token account of the mint, or a wallet holding one
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the wallet does not hold the freeze authority, the account is not frozen or thawing fails
+ */
+export async function thawTokenAccount(provider, mint, address) {
+  try {
+    return await setAccountFrozen(provider, mint, address, false);
+  } catch (error) {
+    throw new Error(`Thawing failed: ${error.message}`);
   }
 }
 
 /**
- * Gets the current balance of a token account.
+ * Gets the current balance of a token account under either token program.
+ * For interest-bearing Token-2022 mints, `uiAmountString` includes the accrued interest while `amount` is the
+ * raw on-chain balance.
  * @async
  * @param {Object} tokenAccount - The token account to check
- * @returns {Promise<number>} The token balance
+ * @returns {Promise<{amount: string, decimals: number, uiAmount: number|null, uiAmountString: string}>}
+ * The balance in base units, the mint's decimals and the exact decimal balance
  * @throws {Error} If balance fetch fails
  */
 export async function getTokenBalance(tokenAccount) {
   try {
-    const balance = await connection.getTokenAccountBalance(tokenAccount.address);
-    return balance.value.uiAmount;
+    const { value } = await getConnection().getTokenAccountBalance(tokenAccount.address);
+    return {
+      amount: value.amount,
+      decimals: value.decimals,
+      uiAmount: value.uiAmount,
+      uiAmountString: value.uiAmountString || formatAmount(value.amount, value.decimals),
+    };
   } catch (error) {
     throw new Error(`Failed to fetch token balance: ${error.message}`);
   }
-}
\ No newline at end of file
+}
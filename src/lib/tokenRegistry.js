@@ -0,0 +1,143 @@
+/**
+ * @module tokenRegistry
+ * @description Remembers the tokens a wallet has created or imported, per cluster, across page reloads.
+ * Entries are kept in localStorage together with the token the user last selected.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getClusterKey } from './connection.js';
+
+const STORAGE_KEY = 'solana_wallet.tokens';
+
+/**
+ * Builds the key that scopes registry entries to the active cluster and a wallet.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @returns {string} The registry key
+ */
+function getRegistryKey(wallet) {
+  return `${getClusterKey()}:${wallet.toString()}`;
+}
+
+/**
+ * Reads the whole registry from localStorage.
+ * @returns {Object<string, {tokens: Array<Object>, active: string|null}>} The registry
+ */
+function readRegistry() {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Failed to read token registry:', error);
+    return {};
+  }
+}
+
+/**
+ * Updates the registry entry of a wallet on the active cluster.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @param {Function} update - Receives the current entry and returns the new one
+ * @returns {{tokens: Array<Object>, active: string|null}} The new entry
+ */
+function updateEntry(wallet, update) {
+  const registry = readRegistry();
+  const key = getRegistryKey(wallet);
+  registry[key] = update(registry[key] || { tokens: [], active: null });
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+  return registry[key];
+}
+
+/**
+ * Lists the tokens registered for a wallet on the active cluster, oldest first.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @returns {Array<{mint: string, tokenAccount: string, programId: string, name?: string, symbol?: string,
+ * source: string, addedAt: number}>} The registered tokens
+ */
+export function getRegisteredTokens(wallet) {
+  const entry = readRegistry()[getRegistryKey(wallet)];
+  return entry ? entry.tokens : [];
+}
+
+/**
+ * Adds or refreshes a token in a wallet's registry and makes it the active token.
+ * A token that is already registered keeps its place, source and date added, and its name and symbol unless new
+ * ones are given.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @param {Object} token
+ * @param {string|PublicKey} token.mint - The mint address
+ * @param {string|PublicKey} token.tokenAccount - The wallet's token account for the mint
+ * @param {string|PublicKey} token.programId - The token program that owns the mint
+ * @param {string} [token.name] - The token name, if known
+ * @param {string} [token.symbol] - The token symbol, if known
+ * @param {'created'|'imported'} token.source - How the token was added
+ * @returns {Array<Object>} The updated list of registered tokens
+ */
+export function registerToken(wallet, { mint, tokenAccount, programId, name, symbol, source }) {
+  const entry = {
+    mint: mint.toString(),
+    tokenAccount: tokenAccount.toString(),
+    programId: programId.toString(),
+    name,
+    symbol,
+    source,
+    addedAt: Date.now(),
+  };
+  return updateEntry(wallet, ({ tokens }) => {
+    const existing = tokens.find((token) => token.mint === entry.mint);
+    if (!existing) return { tokens: [...tokens, entry], active: entry.mint };
+
+    const updated = {
+      ...entry,
+      name: entry.name || existing.name,
+      symbol: entry.symbol || existing.symbol,
+      source: existing.source,
+      addedAt: existing.addedAt,
+    };
+    return { tokens: tokens.map((token) => (token === existing ? updated : token)), active: entry.mint };
+  }).tokens;
+}
+
+/**
+ * Removes a token from a wallet's registry. The chain is not touched.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @param {string|PublicKey} mint - The mint address
+ * @returns {Array<Object>} The updated list of registered tokens
+ */
+export function removeToken(wallet, mint) {
+  const address = mint.toString();
+  return updateEntry(wallet, ({ tokens, active }) => ({
+    tokens: tokens.filter((token) => token.mint !== address),
+    active: active === address ? null : active,
+  })).tokens;
+}
+
+/**
+ * Returns the token the wallet last selected on the active cluster.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @returns {Object|null} The registered token, or null if none is selected
+ */
+export function getActiveToken(wallet) {
+  const entry = readRegistry()[getRegistryKey(wallet)];
+  if (!entry || !entry.active) return null;
+  return entry.tokens.find((token) => token.mint === entry.active) || null;
+}
+
+/**
+ * Selects the active token of a wallet on the active cluster.
+ * @param {string|PublicKey} wallet - The wallet address
+ * @param {string|PublicKey|null} mint - The mint address, or null to clear the selection
+ */
+export function setActiveToken(wallet, mint) {
+  updateEntry(wallet, (entry) => ({ ...entry, active: mint ? mint.toString() : null }));
+}
+
+/**
+ * Converts a registered token into the mint and token account objects used by the token module.
+ * @param {Object} token - The registered token
+ * @returns {{mint: PublicKey, tokenAccount: {address: PublicKey}}} The mint and token account
+ */
+export function toTokenState(token) {
+  return {
+    mint: new PublicKey(token.mint),
+    tokenAccount: { address: new PublicKey(token.tokenAccount) },
+  };
+}
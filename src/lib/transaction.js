@@ -0,0 +1,164 @@
+/**
+ * @module transaction
+ * @description Builds, signs and submits transactions on behalf of a browser wallet.
+ * Transactions are assembled from explicit instructions, partially signed by any generated keypairs
+ * (such as a new mint account) and then handed to the wallet for the fee payer's signature.
+ * Every transaction starts with ComputeBudgetProgram instructions sized by the priorityFee module, and is simulated
+ * before the wallet is asked to sign it. Transfers can carry Solana Pay reference keys and a memo.
+ */
+
+import { Buffer } from 'buffer';
+import { PublicKey, Transaction, TransactionInstruction } from '@solana/web3.js';
+import { getConnection } from './connection.js';
+import { formatAmount } from './amount.js';
+import { getComputeBudget } from './priorityFee.js';
+import { previewTransaction } from './simulation.js';
+import { trackTransaction } from './transactionManager.js';
+
+/**
+ * The SPL Memo program, which records a UTF-8 note in the transaction.
+ * @constant {PublicKey}
+ */
+export const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+/**
+ * Builds a transaction paid for by the connected wallet, with a fresh blockhash and a compute budget.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {Array<TransactionInstruction>} instructions - The instructions to include, in order
+ * @param {Array<Keypair>} [signers] - Generated keypairs that must also sign the transaction
+ * @returns {Promise<{transaction: Transaction, blockhash: string, lastValidBlockHeight: number, budget: Object}>}
+ * The partially signed transaction, the blockhash it expires with and its compute budget from getComputeBudget
+ */
+export async function buildTransaction(provider, instructions, signers = []) {
+  const { blockhash, lastValidBlockHeight } = await getConnection().getLatestBlockhash();
+  const budget = await getComputeBudget(provider.publicKey, instructions, blockhash);
+  const transaction = new Transaction({ feePayer: provider.publicKey, blockhash, lastValidBlockHeight });
+  transaction.add(...budget.instructions, ...instructions);
+  if (signers.length) transaction.partialSign(...signers);
+  return { transaction, blockhash, lastValidBlockHeight, budget };
+}
+
+/**
+ * Works out everything a transaction will take from the wallet before it is signed: the network fee (including the
+ * priority fee), rent deposits for the accounts it creates, other program charges and any SOL it transfers.
+ * The transaction is also simulated, so its balance changes, logs and any error can be reviewed alongside the cost.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {Array<TransactionInstruction>} instructions - The instructions to include, in order
+ * @param {Array<Keypair>} [signers] - Generated keypairs that must also sign the transaction
+ * @param {Object} [costs]
+ * @param {Array<{label: string, lamports: number|bigint}>} [costs.charges] - Rent for new accounts and other
+ * charges the instructions take from the wallet
+ * @param {bigint} [costs.transfer=0n] - SOL the instructions transfer out of the wallet, in lamports
+ * @returns {Promise<{networkFee: bigint, priorityFee: bigint, charges: Array<{label: string, lamports: bigint}>,
+ * transfer: bigint, total: bigint, balance: bigint, shortfall: bigint, preview: Object}>} The costs in lamports,
+ * the wallet's balance, how much more SOL it needs (0n when it can cover the total) and the simulation preview from
+ * previewTransaction
+ * @throws {Error} If the fee cannot be determined or the transaction cannot be simulated
+ */
+export async function estimateTransactionCost(provider, instructions, signers = [], { charges = [], transfer = 0n } = {}) {
+  const connection = getConnection();
+  const [{ transaction, budget }, balance] = await Promise.all([
+    buildTransaction(provider, instructions, signers),
+    connection.getBalance(provider.publicKey),
+  ]);
+  const [{ value }, preview] = await Promise.all([
+    connection.getFeeForMessage(transaction.compileMessage()),
+    previewTransaction(transaction),
+  ]);
+  if (value === null) throw new Error('Unable to estimate the network fee');
+
+  // The fee reported for the message already includes the priority fee
+  const priorityFee = BigInt(budget.priorityFee);
+  const networkFee = BigInt(value) > priorityFee ? BigInt(value) - priorityFee : 0n;
+  const lamportCharges = charges.map(({ label, lamports }) => ({ label, lamports: BigInt(lamports) }));
+  const total = lamportCharges.reduce((sum, { lamports }) => sum + lamports, networkFee + priorityFee + transfer);
+  return {
+    networkFee,
+    priorityFee,
+    charges: lamportCharges,
+    transfer,
+    total,
+    balance: BigInt(balance),
+    shortfall: total > BigInt(balance) ? total - BigInt(balance) : 0n,
+    preview,
+  };
+}
+
+/**
+ * Describes why the wallet cannot afford an estimated transaction.
+ * @param {Object} estimate - The estimate from estimateTransactionCost
+ * @returns {string|null} The exact shortfall, or null when the wallet can cover the total
+ */
+export function describeShortfall({ total, balance, shortfall }) {
+  if (shortfall <= 0n) return null;
+  return `Insufficient SOL. This needs ${formatAmount(total, 9)} SOL but the balance is ${formatAmount(balance, 9)} SOL. `
+    + `Add at least ${formatAmount(shortfall, 9)} SOL to continue.`;
+}
+
+/**
+ * Builds a transaction, has the wallet sign it and waits for it to be confirmed on the active cluster.
+ * The signed transaction is submitted through the app's own connection so it always lands on the
+ * selected cluster; wallets that can only sign and send submit it themselves.
+ * The transaction is tracked by the transaction manager. If its blockhash expires before it lands, the user can
+ * re-sign and resend it with a fresh blockhash, and this call keeps waiting until they do or dismiss it.
+ * The compute budget is recorded on the tracked transaction before the wallet is asked to sign, so the priority
+ * fee is shown to the user first. The built transaction is simulated first, and the wallet is never asked to sign
+ * one that would fail.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {Array<TransactionInstruction>} instructions - The instructions to include, in order
+ * @param {Array<Keypair>} [signers] - Generated keypairs that must also sign the transaction
+ * @param {Object} [options]
+ * @param {string} [options.label='Transaction'] - A short description shown while the transaction is tracked
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the simulation fails, the wallet rejects the request, the transaction fails, or it expires and
+ * is dismissed
+ */
+export async function sendWalletTransaction(provider, instructions, signers = [], { label = 'Transaction' } = {}) {
+  if (!provider.isConnected) throw new Error('Wallet not connected');
+  if (!provider.publicKey) throw new Error('Public key is undefined');
+
+  return trackTransaction(label, async (annotate) => {
+    const connection = getConnection();
+    const { transaction, blockhash, lastValidBlockHeight, budget } = await buildTransaction(
+      provider,
+      instructions,
+      signers
+    );
+    annotate({ computeUnits: budget.units, microLamports: budget.microLamports, priorityFee: budget.priorityFee });
+    const preview = await previewTransaction(transaction);
+    if (!preview.success) throw new Error(`Simulation failed: ${preview.error}`);
+
+    let signature;
+    if (typeof provider.signTransaction === 'function') {
+      const signed = await provider.signTransaction(transaction);
+      signature = await connection.sendRawTransaction(signed.serialize());
+    } else {
+      signature = await provider.signAndSendTransaction(transaction);
+    }
+    return { signature, blockhash, lastValidBlockHeight };
+  });
+}
+
+/**
+ * Adds Solana Pay payment details to a transfer instruction. Each reference key is appended to the transfer as a
+ * read-only account, so the recipient can find the payment by it, and the memo is placed in an SPL Memo instruction
+ * just before the transfer.
+ * @param {TransactionInstruction} transfer - The SOL or token transfer instruction
+ * @param {Object} [payment]
+ * @param {Array<PublicKey>} [payment.references=[]] - Reference keys chosen by the recipient
+ * @param {string} [payment.memo] - The memo to record
+ * @returns {Array<TransactionInstruction>} The memo instruction, if any, followed by the transfer
+ */
+export function withPaymentDetails(transfer, { references = [], memo } = {}) {
+  for (const reference of references) {
+    transfer.keys.push({ pubkey: reference, isSigner: false, isWritable: false });
+  }
+  if (!memo) return [transfer];
+  return [
+    new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from(memo, 'utf8') }),
+    transfer,
+  ];
+}
@@ -0,0 +1,268 @@
+/**
+ * @module transactionManager
+ * @description Tracks every transaction the app submits through sent, processed, confirmed and finalized.
+ * A transaction whose blockhash expires before it lands is held as expired until the user re-signs and resends it
+ * or dismisses it. Durable nonce transactions expire only once their nonce has been used. Unfinished transactions
+ * are saved in localStorage and resumed after a reload.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getClusterKey, getConnection } from './connection.js';
+
+/**
+ * The stages a tracked transaction moves through, in order, before it either finalizes, fails or expires.
+ * @constant {Array<string>}
+ */
+export const TRANSACTION_STAGES = ['signing', 'sent', 'processed', 'confirmed', 'finalized'];
+
+const STORAGE_KEY = 'solana_wallet.transactions';
+const POLL_INTERVAL = 2000;
+const FINALIZED_DISPLAY_TIME = 10000;
+
+let transactions = readTransactions();
+const listeners = new Set();
+const monitored = new Set();
+const startedThisSession = new Set();
+const pendingDecisions = new Map();
+
+/**
+ * Reads the saved transactions from localStorage.
+ * @returns {Array<Object>} The saved transactions
+ */
+function readTransactions() {
+  if (typeof window === 'undefined') return [];
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Failed to read pending transactions:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the unfinished transactions and notifies subscribers.
+ */
+function commit() {
+  if (typeof window !== 'undefined') {
+    const unfinished = transactions.filter(({ stage }) => stage !== 'finalized');
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(unfinished));
+  }
+  const visible = getTransactions();
+  listeners.forEach((listener) => listener(visible));
+}
+
+/**
+ * Applies changes to a tracked transaction.
+ * @param {string} id - The tracked transaction id
+ * @param {Object} changes - The fields to change
+ */
+function update(id, changes) {
+  transactions = transactions.map((entry) => (entry.id === id
+    ? { ...entry, ...changes, updatedAt: Date.now() }
+    : entry));
+  commit();
+}
+
+/**
+ * Stops tracking a transaction.
+ * @param {string} id - The tracked transaction id
+ */
+function remove(id) {
+  transactions = transactions.filter((entry) => entry.id !== id);
+  pendingDecisions.delete(id);
+  commit();
+}
+
+/**
+ * Checks whether a transaction that has not landed can no longer land.
+ * A durable nonce transaction expires once its nonce account has moved past the nonce it was signed with; any
+ * other transaction expires once the block height passes the last valid block height of its blockhash.
+ * @async
+ * @param {Connection} connection - The connection to check on
+ * @param {Object} entry - The tracked transaction
+ * @returns {Promise<boolean>} Whether the transaction has expired
+ */
+async function hasExpired(connection, entry) {
+  if (!entry.nonceAccount) return await connection.getBlockHeight('confirmed') > entry.lastValidBlockHeight;
+  const nonce = await connection.getNonce(new PublicKey(entry.nonceAccount));
+  if (nonce && nonce.nonce === entry.blockhash) return false;
+  // Landing advances the nonce too, so make sure the transaction did not land since its status was checked
+  const { value: [status] } = await connection.getSignatureStatuses([entry.signature], { searchTransactionHistory: true });
+  return !status;
+}
+
+/**
+ * Polls the status of a sent transaction until it finalizes, fails or expires.
+ * @async
+ * @param {string} id - The tracked transaction id
+ * @param {Function} [onSettled] - Called once with 'confirmed', 'failed' or 'expired' when the caller can stop
+ * waiting; confirmed means the connection's commitment was reached
+ */
+async function monitor(id, onSettled = () => {}) {
+  if (monitored.has(id)) return;
+  monitored.add(id);
+  const connection = getConnection();
+  const required = TRANSACTION_STAGES.indexOf(connection.commitment || 'confirmed');
+  let settled = false;
+  const settle = (outcome) => {
+    if (settled) return;
+    settled = true;
+    onSettled(outcome);
+  };
+
+  try {
+    for (;;) {
+      const entry = transactions.find((transaction) => transaction.id === id);
+      if (!entry) return;
+
+      try {
+        const { value: [status] } = await connection.getSignatureStatuses(
+          [entry.signature],
+          { searchTransactionHistory: true }
+        );
+        if (status && status.err) {
+          update(id, { stage: 'failed', error: JSON.stringify(status.err) });
+          settle('failed');
+          return;
+        }
+        if (status && status.confirmationStatus) {
+          const stage = status.confirmationStatus;
+          if (stage !== entry.stage) update(id, { stage });
+          if (TRANSACTION_STAGES.indexOf(stage) >= required) settle('confirmed');
+          if (stage === 'finalized') {
+            setTimeout(() => remove(id), FINALIZED_DISPLAY_TIME);
+            return;
+          }
+        } else if (await hasExpired(connection, entry)) {
+          update(id, { stage: 'expired' });
+          settle('expired');
+          return;
+        }
+      } catch (error) {
+        console.error('Failed to check transaction status:', error);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    }
+  } finally {
+    monitored.delete(id);
+  }
+}
+
+/**
+ * Lists the tracked transactions on the active cluster, newest first.
+ * @returns {Array<{id: string, label: string, stage: string, signature?: string, error?: string,
+ * priorityFee?: number, computeUnits?: number, microLamports?: number, canResend: boolean, createdAt: number}>}
+ * The tracked transactions
+ */
+export function getTransactions() {
+  const cluster = getClusterKey();
+  return transactions
+    .filter((entry) => entry.cluster === cluster)
+    .map((entry) => ({ ...entry, canResend: entry.stage === 'expired' && pendingDecisions.has(entry.id) }))
+    .reverse();
+}
+
+/**
+ * Subscribes to changes in the tracked transactions.
+ * @param {Function} listener - Called with the tracked transactions on the active cluster
+ * @returns {Function} Unsubscribe function
+ */
+export function onTransactionsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Resumes tracking the unfinished transactions saved on the active cluster, e.g. after a reload or a cluster
+ * switch. Transactions that were never sent are dropped.
+ */
+export function resumeTransactions() {
+  const cluster = getClusterKey();
+  transactions = transactions.filter((entry) => entry.cluster !== cluster
+    || entry.stage !== 'signing' || startedThisSession.has(entry.id));
+  transactions
+    .filter((entry) => entry.cluster === cluster && ['sent', 'processed', 'confirmed'].includes(entry.stage))
+    .forEach((entry) => monitor(entry.id));
+  commit();
+}
+
+/**
+ * Runs a transaction under tracking. `submit` builds, signs and sends it; if its blockhash expires before it
+ * lands, the returned promise stays pending until the user resends it, which calls `submit` again, or dismisses it.
+ * @async
+ * @param {string} label - A short description shown to the user, e.g. 'Send SOL'
+ * @param {Function} submit - Resolves with the `signature`, `blockhash` and `lastValidBlockHeight` of the sent
+ * transaction, or with the `nonceAccount` (base58) instead of `lastValidBlockHeight` when it uses a durable nonce,
+ * whose value is then the `blockhash`. It is passed an `annotate` function that records extra details, such as the priority fee, on the
+ * tracked transaction before it is sent
+ * @returns {Promise<string>} The transaction signature, once the connection's commitment is reached
+ * @throws {Error} If signing or sending fails, the transaction fails, or an expired transaction is dismissed
+ */
+export function trackTransaction(label, submit) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  startedThisSession.add(id);
+  transactions = [...transactions, {
+    id,
+    label,
+    cluster: getClusterKey(),
+    stage: 'signing',
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  }];
+  commit();
+
+  return new Promise((resolve, reject) => {
+    const attempt = async () => {
+      update(id, { stage: 'signing', error: null });
+      let sent;
+      try {
+        sent = await submit((details) => update(id, details));
+      } catch (error) {
+        remove(id);
+        reject(error);
+        return;
+      }
+      update(id, { stage: 'sent', ...sent });
+
+      monitor(id, (outcome) => {
+        const { signature, error } = transactions.find((entry) => entry.id === id);
+        if (outcome === 'confirmed') {
+          resolve(signature);
+        } else if (outcome === 'failed') {
+          reject(new Error(`Transaction ${signature} failed: ${error}`));
+        } else {
+          pendingDecisions.set(id, {
+            resend: attempt,
+            dismiss: () => reject(new Error('Transaction expired before it was confirmed')),
+          });
+          commit();
+        }
+      });
+    };
+    attempt();
+  });
+}
+
+/**
+ * Re-signs and resends an expired transaction with a fresh blockhash.
+ * @param {string} id - The tracked transaction id
+ * @throws {Error} If the transaction cannot be resent, e.g. it expired before a reload
+ */
+export function resendTransaction(id) {
+  const decision = pendingDecisions.get(id);
+  if (!decision) throw new Error('This transaction can no longer be resent');
+  pendingDecisions.delete(id);
+  decision.resend();
+}
+
+/**
+ * Stops tracking a failed or expired transaction. A caller still waiting on an expired transaction is told it
+ * was not confirmed.
+ * @param {string} id - The tracked transaction id
+ */
+export function dismissTransaction(id) {
+  const decision = pendingDecisions.get(id);
+  remove(id);
+  if (decision) decision.dismiss();
+}
@@ -1,32 +1,42 @@
 /**
  * @module wallet
  * @description Provides functionality for connecting to and managing a Solana wallet.
- * This module handles wallet connection, disconnection, and transaction history retrieval.
+ * This module handles wallet connection, disconnection, SOL balances, transfers and test-cluster airdrops, the
+ * wallet's token portfolio, and transaction history retrieval.
  */
 
-import { connection } from './connection.js';
-import { PublicKey } from '@solana/web3.js';
+import { getCluster, getConnection } from './connection.js';
+import { LAMPORTS_PER_SOL, PublicKey, SystemProgram } from '@solana/web3.js';
+import { describeShortfall, estimateTransactionCost, sendWalletTransaction, withPaymentDetails } from './transaction.js';
+import { formatAmount, parseAmount } from './amount.js';
+import { TOKEN_PROGRAMS } from './token.js';
+import { fetchTokenMetadata } from './metadata.js';
+import { summarizeTransaction } from './history.js';
+import { trackTransaction } from './transactionManager.js';
 
 /**
- * Connects to a Phantom wallet and retrieves the wallet's public key and SOL balance.
+ * Connects to a wallet and retrieves the wallet's public key and SOL balance.
  * @async
- * @param {Object} provider - The Phantom wallet provider
- * @param {boolean} provider.isPhantom - Whether the provider is Phantom
+ * @param {Object} provider - The wallet adapter from walletRegistry
  * @param {Function} provider.connect - Function to connect to the wallet
  * @param {PublicKey} provider.publicKey - The public key of the wallet after connection
- * @returns {Promise<{publicKey: string, balance: number}>} The wallet's public key and SOL balance
- * @throws {Error} If Phantom wallet is not found or connection fails
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] - Only reconnect if the user already authorized this app
+ * @returns {Promise<{publicKey: string, balance: number}|null>} The wallet's public key and SOL balance,
+ * or null if a silent connection was not authorized
+ * @throws {Error} If no wallet is given or connection fails
  */
-export async function connectWallet(provider) {
+export async function connectWallet(provider, { silent = false } = {}) {
   try {
-    if (!provider || !provider.isPhantom) {
-      throw new Error('Phantom wallet not found. Please install it.');
+    if (!provider) {
+      throw new Error('No wallet selected. Please install a Solana wallet.');
     }
 
-    await provider.connect();
+    await provider.connect({ silent });
+    if (!provider.publicKey) return null;
     const publicKey = provider.publicKey.toString();
 
-    const balance = await connection.getBalance(provider.publicKey);
+    const balance = await getConnection().getBalance(provider.publicKey);
     return { publicKey, balance: balance / 1e9 }; // Convert lamports to SOL
   } catch (error) {
     throw new Error(`Wallet connection failed: ${error.message}`);
@@ -34,9 +44,9 @@ export async function connectWallet(provider) {
 }
 
 /**
- * Disconnects from the currently connected Phantom wallet.
+ * Disconnects from the currently connected wallet.
  * @async
- * @param {Object} provider - The Phantom wallet provider
+ * @param {Object} provider - The wallet adapter from walletRegistry
  * @param {boolean} provider.isConnected - Whether the wallet is currently connected
  * @param {Function} provider.disconnect - Function to disconnect from the wallet
  * @returns {Promise<string>} A message indicating the disconnection status
@@ -55,17 +65,293 @@ export async function disconnectWallet(provider) {
 }
 
 /**
- * Retrieves recent transaction history for a wallet address.
+ * Retrieves one page of a wallet's transaction history, newest first, with each transaction parsed into a
+ * summary by the history module. Pass the returned `cursor` as `before` to load the next page.
  * @async
  * @param {string|PublicKey} publicKey - The public key of the wallet
- * @returns {Promise<Array<Object>>} Array of recent transactions with signatures and timestamps
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only return transactions older than this signature
+ * @param {string} [options.until] - Stop at this signature, exclusive
+ * @param {number} [options.limit=10] - The page size, up to 1000
+ * @returns {Promise<{entries: Array<Object>, cursor: string|null, hasMore: boolean}>} The summarized
+ * transactions, each with the `name` and `symbol` of its mint where known, and the cursor for the next page
  * @throws {Error} If transaction history fetch fails
  */
-export async function getTransactionHistory(publicKey) {
+export async function getTransactionHistory(publicKey, { before, until, limit = 10 } = {}) {
   try {
-    const signatures = await connection.getSignaturesForAddress(new PublicKey(publicKey), { limit: 5 });
-    return signatures;
+    const connection = getConnection();
+    const owner = new PublicKey(publicKey).toBase58();
+    // Parsed transactions are only served at confirmed commitment or above
+    const signatures = await connection.getSignaturesForAddress(
+      new PublicKey(owner),
+      { before, until, limit },
+      'confirmed'
+    );
+    const transactions = signatures.length > 0
+      ? await connection.getParsedTransactions(
+        signatures.map(({ signature }) => signature),
+        { maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+      )
+      : [];
+
+    const entries = signatures.map((info, index) => summarizeTransaction(info, transactions[index], owner));
+    const mints = [...new Set(entries.map(({ mint }) => mint).filter(Boolean))];
+    const metadata = new Map(await Promise.all(
+      mints.map(async (mint) => [mint, await fetchTokenMetadata(mint).catch(() => null)])
+    ));
+
+    return {
+      entries: entries.map((entry) => {
+        const tokenMetadata = entry.mint && metadata.get(entry.mint);
+        return {
+          ...entry,
+          name: tokenMetadata ? tokenMetadata.name : null,
+          symbol: tokenMetadata ? tokenMetadata.symbol : null,
+        };
+      }),
+      cursor: signatures.length > 0 ? signatures[signatures.length - 1].signature : null,
+      hasMore: signatures.length === limit,
+    };
   } catch (error) {
     throw new Error(`Failed to fetch transaction history: ${error.message}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Retrieves a wallet's whole transaction history within a time or slot range by paging through
+ * getTransactionHistory until the start of the range is passed.
+ * When filtering by time, transactions without a block time are left out.
+ * @async
+ * @param {string|PublicKey} publicKey - The public key of the wallet
+ * @param {Object} range
+ * @param {'time'|'slot'} range.by - Whether `from` and `to` are dates or slots
+ * @param {Date|number} [range.from] - The earliest date or slot to include, unbounded when omitted
+ * @param {Date|number} [range.to] - The latest date or slot to include, unbounded when omitted
+ * @param {Function} [onProgress] - Called with the number of transactions collected after each page
+ * @returns {Promise<Array<Object>>} The summarized transactions in the range, newest first
+ * @throws {Error} If transaction history fetch fails
+ */
+export async function getTransactionHistoryRange(publicKey, { by, from, to }, onProgress) {
+  const position = (entry) => (by === 'slot' ? entry.slot : entry.blockTime && entry.blockTime.getTime());
+  const start = from === undefined ? null : Number(from);
+  const end = to === undefined ? null : Number(to);
+
+  const collected = [];
+  let before;
+  for (;;) {
+    const page = await getTransactionHistory(publicKey, { before, limit: 100 });
+    let passedStart = false;
+    for (const entry of page.entries) {
+      const value = position(entry);
+      if (value === null) continue;
+      if (start !== null && value < start) {
+        passedStart = true;
+        break;
+      }
+      if (end === null || value <= end) collected.push(entry);
+    }
+    if (onProgress) onProgress(collected.length);
+    if (passedStart || !page.hasMore) return collected;
+    before = page.cursor;
+  }
+}
+
+/**
+ * Gets the SOL balance of a wallet address.
+ * @async
+ * @param {string|PublicKey} publicKey - The public key of the wallet
+ * @returns {Promise<number>} The balance in SOL
+ * @throws {Error} If balance fetch fails
+ */
+export async function getSolBalance(publicKey) {
+  try {
+    const balance = await getConnection().getBalance(new PublicKey(publicKey));
+    return balance / LAMPORTS_PER_SOL;
+  } catch (error) {
+    throw new Error(`Failed to fetch SOL balance: ${error.message}`);
+  }
+}
+
+/**
+ * Lists every token account owned by a wallet under both the SPL Token and Token-2022 programs.
+ * Metadata is looked up for each mint; accounts whose metadata cannot be read are still listed without a name.
+ * @async
+ * @param {string|PublicKey} owner - The public key of the wallet
+ * @returns {Promise<Array<{address: PublicKey, mint: PublicKey, programId: PublicKey, decimals: number,
+ * amount: string, uiAmountString: string, isFrozen: boolean, name: string|null, symbol: string|null}>>}
+ * One entry per token account
+ * @throws {Error} If the token accounts cannot be fetched
+ */
+export async function getTokenPortfolio(owner) {
+  try {
+    const connection = getConnection();
+    const ownerKey = new PublicKey(owner);
+    const results = await Promise.all(Object.values(TOKEN_PROGRAMS).map(async ({ programId }) => {
+      const { value } = await connection.getParsedTokenAccountsByOwner(ownerKey, { programId });
+      return value.map(({ pubkey, account }) => {
+        const { mint, state, tokenAmount } = account.data.parsed.info;
+        return {
+          address: pubkey,
+          mint: new PublicKey(mint),
+          programId,
+          decimals: tokenAmount.decimals,
+          amount: tokenAmount.amount,
+          uiAmountString: tokenAmount.uiAmountString || formatAmount(tokenAmount.amount, tokenAmount.decimals),
+          isFrozen: state === 'frozen',
+        };
+      });
+    }));
+
+    return await Promise.all(results.flat().map(async (entry) => {
+      const metadata = await fetchTokenMetadata(entry.mint).catch(() => null);
+      return { ...entry, name: metadata ? metadata.name : null, symbol: metadata ? metadata.symbol : null };
+    }));
+  } catch (error) {
+    throw new Error(`Failed to fetch token portfolio: ${error.message}`);
+  }
+}
+
+/**
+ * Builds a native SOL transfer and estimates its cost without sending it.
+ * When the wallet can cover the cost, also checks that the sender is not left holding less than the rent-exempt
+ * minimum and that a new recipient account is funded with at least the rent-exempt minimum.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {string|PublicKey} destination - The recipient's wallet address
+ * @param {string} amount - The amount of SOL to send, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
+ * @returns {Promise<{instructions: Array<TransactionInstruction>, estimate: Object}>} The instructions and the
+ * estimate from estimateTransactionCost
+ * @throws {Error} If the amount is invalid or the transfer would break a rent-exempt minimum
+ */
+async function prepareSendSol(provider, destination, amount, payment = {}) {
+  if (!provider.isConnected) throw new Error('Wallet not connected');
+  if (!provider.publicKey) throw new Error('Public key is undefined');
+
+  const lamports = parseAmount(amount, 9);
+  if (lamports <= 0n) throw new Error('Amount must be greater than 0');
+
+  const connection = getConnection();
+  const recipient = new PublicKey(destination);
+  const instructions = withPaymentDetails(
+    SystemProgram.transfer({ fromPubkey: provider.publicKey, toPubkey: recipient, lamports }),
+    payment
+  );
+
+  const [estimate, rentExemptMinimum, recipientAccount] = await Promise.all([
+    estimateTransactionCost(provider, instructions, [], { transfer: lamports }),
+    connection.getMinimumBalanceForRentExemption(0),
+    connection.getAccountInfo(recipient),
+  ]);
+  if (estimate.shortfall > 0n) return { instructions, estimate };
+
+  const sol = (value) => formatAmount(value, 9);
+  const minimum = BigInt(rentExemptMinimum);
+  const afterFees = estimate.balance - (estimate.total - lamports);
+  const remaining = estimate.balance - estimate.total;
+  if (remaining > 0n && remaining < minimum) {
+    const maximum = afterFees - minimum;
+    throw new Error(
+      `This would leave ${sol(remaining)} SOL, below the rent-exempt minimum of ${sol(minimum)} SOL. `
+      + (maximum > 0n ? `Send at most ${sol(maximum)} SOL, or ` : 'Send ')
+      + `the entire balance of ${sol(afterFees)} SOL after fees.`
+    );
+  }
+  if (!recipientAccount && lamports < minimum) {
+    throw new Error(`The recipient account does not exist yet and must receive at least ${sol(minimum)} SOL.`);
+  }
+  return { instructions, estimate };
+}
+
+/**
+ * Estimates what a native SOL transfer will cost the wallet, including the amount sent.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {string|PublicKey} destination - The recipient's wallet address
+ * @param {string} amount - The amount of SOL to send, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
+ * @returns {Promise<Object>} The estimate from estimateTransactionCost
+ * @throws {Error} If the amount is invalid, the transfer would break a rent-exempt minimum, or the fee cannot be
+ * determined
+ */
+export async function estimateSendSol(provider, destination, amount, payment = {}) {
+  try {
+    const { estimate } = await prepareSendSol(provider, destination, amount, payment);
+    return estimate;
+  } catch (error) {
+    throw new Error(`Cost estimate failed: ${error.message}`);
+  }
+}
+
+/**
+ * Transfers native SOL from the connected wallet to another address.
+ * Before asking the wallet to sign, checks that the balance covers the amount and every fee, and the rent-exempt
+ * minimums described in prepareSendSol.
+ * @async
+ * @param {Object} provider - The wallet adapter from walletRegistry
+ * @param {string|PublicKey} destination - The recipient's wallet address
+ * @param {string} amount - The amount of SOL to send, as a decimal string
+ * @param {Object} [payment] - Solana Pay references and memo for the transfer, see withPaymentDetails
+ * @returns {Promise<string>} Transaction signature
+ * @throws {Error} If the amount is invalid, the balance is insufficient or the transfer fails
+ */
+export async function sendSol(provider, destination, amount, payment = {}) {
+  try {
+    const { instructions, estimate } = await prepareSendSol(provider, destination, amount, payment);
+    const shortfall = describeShortfall(estimate);
+    if (shortfall) throw new Error(shortfall);
+
+    return await sendWalletTransaction(provider, instructions, [], { label: 'Send SOL' });
+  } catch (error) {
+    throw new Error(`SOL transfer failed: ${error.message}`);
+  }
+}
+
+/**
+ * Turns a faucet failure into a message that tells the user what to do next.
+ * @param {Error} error - The error thrown while requesting or confirming the airdrop
+ * @param {Object} cluster - The active cluster
+ * @returns {string} The message
+ */
+function describeAirdropError(error, cluster) {
+  const message = error.message || String(error);
+  if (/429|too many requests|rate limit|limit today|run dry/i.test(message)) {
+    return `The ${cluster.label} faucet is rate limiting this wallet or IP address. `
+      + 'Wait a few minutes and try again, or use https://faucet.solana.com';
+  }
+  if (/internal error/i.test(message)) {
+    return `The ${cluster.label} faucet refused the request. Try a smaller amount (at most ${cluster.airdropLimit} SOL)`;
+  }
+  return message;
+}
+
+/**
+ * Requests SOL from the faucet of a test cluster and waits for the airdrop to be confirmed.
+ * Only devnet, testnet and localnet have a faucet; airdrops are refused on every other cluster.
+ * @async
+ * @param {string|PublicKey} publicKey - The wallet to fund
+ * @param {string} amount - The amount of SOL to request, as a decimal string
+ * @returns {Promise<string>} The airdrop transaction signature
+ * @throws {Error} If the cluster has no faucet, the amount exceeds its per-request cap, the faucet is rate
+ * limiting, or the airdrop fails
+ */
+export async function requestAirdrop(publicKey, amount) {
+  const cluster = getCluster();
+  try {
+    if (!cluster.airdropLimit) throw new Error(`Airdrops are not available on ${cluster.label}`);
+    const lamports = parseAmount(amount, 9);
+    if (lamports <= 0n) throw new Error('Amount must be greater than 0');
+    if (lamports > BigInt(cluster.airdropLimit * LAMPORTS_PER_SOL)) {
+      throw new Error(`The ${cluster.label} faucet gives at most ${cluster.airdropLimit} SOL per request`);
+    }
+
+    return await trackTransaction('Airdrop', async () => {
+      const connection = getConnection();
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      const signature = await connection.requestAirdrop(new PublicKey(publicKey), Number(lamports));
+      return { signature, blockhash, lastValidBlockHeight };
+    });
+  } catch (error) {
+    throw new Error(`Airdrop failed: ${describeAirdropError(error, cluster)}`);
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * @module walletRegistry
+ * @description Discovers injected Wallet Standard wallets (Phantom, Solflare, Backpack and others) and wraps
+ * each one in a common wallet interface used by the rest of the lib.
+ * This module also remembers the wallet the user picked so the app can reconnect to it on reload.
+ */
+
+import { getWallets } from '@wallet-standard/app';
+import { StandardConnect, StandardDisconnect, StandardEvents } from '@wallet-standard/features';
+import {
+  SolanaSignAndSendTransaction,
+  SolanaSignMessage,
+  SolanaSignTransaction
+} from '@solana/wallet-standard-features';
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { getCluster } from './connection.js';
+
+const STORAGE_KEY = 'solana_wallet.wallet';
+
+const adapters = new WeakMap();
+
+/**
+ * Checks whether a Wallet Standard wallet can connect and sign Solana transactions.
+ * @param {Object} wallet - The Wallet Standard wallet
+ * @returns {boolean} Whether the wallet is usable by this app
+ */
+function isSolanaWallet(wallet) {
+  return StandardConnect in wallet.features
+    && SolanaSignTransaction in wallet.features
+    && wallet.chains.some((chain) => chain.startsWith('solana:'));
+}
+
+/**
+ * Serializes a legacy or versioned transaction for the wallet, leaving missing signatures empty.
+ * @param {Transaction|VersionedTransaction} transaction - The transaction to serialize
+ * @returns {Uint8Array} The serialized transaction
+ */
+function serializeTransaction(transaction) {
+  if (transaction instanceof VersionedTransaction) return transaction.serialize();
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+}
+
+/**
+ * Deserializes a transaction returned by the wallet into the same type that was sent to it.
+ * @param {Uint8Array} bytes - The signed, serialized transaction
+ * @param {Transaction|VersionedTransaction} original - The transaction that was signed
+ * @returns {Transaction|VersionedTransaction} The signed transaction
+ */
+function deserializeTransaction(bytes, original) {
+  if (original instanceof VersionedTransaction) return VersionedTransaction.deserialize(bytes);
+  return Transaction.from(bytes);
+}
+
+/**
+ * Wraps a Wallet Standard wallet in the wallet interface used across the app.
+ * Emits 'connect' and 'accountChanged' with the new PublicKey, and 'disconnect' with no arguments.
+ * @param {Object} wallet - The Wallet Standard wallet
+ * @returns {Object} The wallet adapter
+ */
+function createWalletAdapter(wallet) {
+  let account = null;
+  const listeners = { connect: new Set(), disconnect: new Set(), accountChanged: new Set() };
+
+  const emit = (event, ...args) => listeners[event].forEach((listener) => listener(...args));
+
+  const setAccount = (nextAccount) => {
+    const previous = account;
+    account = nextAccount;
+    if (!previous && account) emit('connect', new PublicKey(account.publicKey));
+    else if (previous && !account) emit('disconnect');
+    else if (previous && account && previous.address !== account.address) {
+      emit('accountChanged', new PublicKey(account.publicKey));
+    }
+  };
+
+  const findAccount = (accounts) => accounts.find((candidate) => (
+    candidate.chains.some((chain) => chain.startsWith('solana:'))
+  )) || null;
+
+  const requireAccount = () => {
+    if (!account) throw new Error('Wallet not connected');
+    return account;
+  };
+
+  if (StandardEvents in wallet.features) {
+    wallet.features[StandardEvents].on('change', ({ accounts }) => {
+      if (accounts && account) setAccount(findAccount(accounts));
+    });
+  }
+
+  return {
+    name: wallet.name,
+    icon: wallet.icon,
+
+    get publicKey() {
+      return account ? new PublicKey(account.publicKey) : null;
+    },
+
+    get isConnected() {
+      return Boolean(account);
+    },
+
+    /**
+     * Requests access to the wallet's accounts.
+     * @param {Object} [options]
+     * @param {boolean} [options.silent] - Only reconnect if the user already authorized this app
+     * @returns {Promise<PublicKey|null>} The connected public key, or null if a silent connect was not authorized
+     */
+    async connect({ silent = false } = {}) {
+      const { accounts } = await wallet.features[StandardConnect].connect({ silent });
+      const nextAccount = findAccount(accounts.length ? accounts : wallet.accounts);
+      if (!nextAccount && !silent) throw new Error(`${wallet.name} did not return a Solana account`);
+      setAccount(nextAccount);
+      return this.publicKey;
+    },
+
+    async disconnect() {
+      if (StandardDisconnect in wallet.features) await wallet.features[StandardDisconnect].disconnect();
+      setAccount(null);
+    },
+
+    async signTransaction(transaction) {
+      const [signed] = await this.signAllTransactions([transaction]);
+      return signed;
+    },
+
+    async signAllTransactions(transactions) {
+      const currentAccount = requireAccount();
+      const { chain } = getCluster();
+      // Custom RPC clusters have no chain identifier; leave the field out rather than send it as undefined
+      const outputs = await wallet.features[SolanaSignTransaction].signTransaction(
+        ...transactions.map((transaction) => ({
+          account: currentAccount,
+          ...(chain ? { chain } : {}),
+          transaction: serializeTransaction(transaction),
+        }))
+      );
+      return outputs.map(({ signedTransaction }, index) => deserializeTransaction(signedTransaction, transactions[index]));
+    },
+
+    get canSignAndSend() {
+      return SolanaSignAndSendTransaction in wallet.features && Boolean(getCluster().chain);
+    },
+
+    /**
+     * Signs a transaction and lets the wallet submit it to the active cluster.
+     * @param {Transaction|VersionedTransaction} transaction - The transaction to sign and send
+     * @param {Object} [options] - Send options (skipPreflight, maxRetries, preflightCommitment)
+     * @returns {Promise<string>} The base58 transaction signature
+     */
+    async signAndSendTransaction(transaction, options) {
+      const currentAccount = requireAccount();
+      const { chain } = getCluster();
+      if (!this.canSignAndSend) throw new Error(`${wallet.name} cannot send transactions to this cluster`);
+      const [{ signature }] = await wallet.features[SolanaSignAndSendTransaction].signAndSendTransaction({
+        account: currentAccount,
+        chain,
+        transaction: serializeTransaction(transaction),
+        options,
+      });
+      return bs58.encode(signature);
+    },
+
+    async signMessage(message) {
+      const currentAccount = requireAccount();
+      if (!(SolanaSignMessage in wallet.features)) throw new Error(`${wallet.name} cannot sign messages`);
+      const [{ signature }] = await wallet.features[SolanaSignMessage].signMessage({ account: currentAccount, message });
+      return signature;
+    },
+
+    /**
+     * Subscribes to a wallet event.
+     * @param {'connect'|'disconnect'|'accountChanged'} event - The event name
+     * @param {Function} listener - The event listener
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+      listeners[event].add(listener);
+      return () => listeners[event].delete(listener);
+    },
+  };
+}
+
+/**
+ * Returns the wallet adapter for a Wallet Standard wallet, creating it on first use.
+ * @param {Object} wallet - The Wallet Standard wallet
+ * @returns {Object} The wallet adapter
+ */
+function getAdapter(wallet) {
+  if (!adapters.has(wallet)) adapters.set(wallet, createWalletAdapter(wallet));
+  return adapters.get(wallet);
+}
+
+/**
+ * Lists every injected wallet that supports Solana.
+ * @returns {Array<Object>} The wallet adapters, in registration order
+ */
+export function getAvailableWallets() {
+  if (typeof window === 'undefined') return [];
+  return getWallets().get().filter(isSolanaWallet).map(getAdapter);
+}
+
+/**
+ * Subscribes to wallets being injected or removed after the page has loaded.
+ * @param {Function} listener - Called with the updated list of wallet adapters
+ * @returns {Function} Unsubscribe function
+ */
+export function onWalletsChange(listener) {
+  if (typeof window === 'undefined') return () => {};
+  const wallets = getWallets();
+  const notify = () => listener(getAvailableWallets());
+  const offRegister = wallets.on('register', notify);
+  const offUnregister = wallets.on('unregister', notify);
+  return () => {
+    offRegister();
+    offUnregister();
+  };
+}
+
+/**
+ * Returns the name of the wallet the user last connected with.
+ * @returns {string|null} The wallet name
+ */
+export function getPreferredWallet() {
+  if (typeof window === 'undefined') return null;
+  return window.localStorage.getItem(STORAGE_KEY);
+}
+
+/**
+ * Remembers the wallet the user connected with, or forgets it when passed null.
+ * @param {string|null} name - The wallet name
+ */
+export function setPreferredWallet(name) {
+  if (typeof window === 'undefined') return;
+  if (name) window.localStorage.setItem(STORAGE_KEY, name);
+  else window.localStorage.removeItem(STORAGE_KEY);
+}